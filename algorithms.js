@@ -3,241 +3,579 @@
  * Generates sorting history steps for visualization.
  */
 
+import { SortHistory, OP_COMPARE, OP_SWAP, OP_FINALIZE, OP_FINALIZE_ALL } from "./history.js";
+import { createComparator } from "./comparators.js";
+
+
+// =============================================================================
+//  INPUT GENERATION
+// =============================================================================
+
+/**
+ * Input shapes offered by generateRandomArray, in dropdown order.
+ * @type {{id: string, name: string}[]}
+ */
+export const DISTRIBUTIONS = [
+  { id: 'random', name: 'Random' },
+  { id: 'nearly-sorted', name: 'Nearly Sorted' },
+  { id: 'reversed', name: 'Reversed' },
+  { id: 'sorted', name: 'Already Sorted' },
+  { id: 'few-unique', name: 'Few Unique' },
+  { id: 'sawtooth', name: 'Sawtooth' },
+  { id: 'organ-pipe', name: 'Organ Pipe' }
+];
 
 /**
- * Generates an array of random integers between 1 and 100.
+ * Creates a seeded pseudo-random generator (mulberry32).
+ * The same seed always produces the same sequence, so arrays can be rebuilt.
+ * @param {number} seed - 32-bit integer seed.
+ * @returns {function(): number} - Returns floats from 0.0 (inclusive) to 1.0 (exclusive).
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks a fresh seed for when the user has not supplied one.
+ * @returns {number} - Integer from 0 to 999999 (short enough to read out in class).
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
+
+/**
+ * Generates an array of integers between 1 and 99 in the requested shape.
  * @param {number} size - Size of the array.
- * @returns {number[]} - Array of random numbers.
+ * @param {object} [options] - Generation options.
+ * @param {string} [options.distribution='random'] - One of the DISTRIBUTIONS ids.
+ * @param {number} [options.seed] - Seed for repeatable output (random if omitted).
+ * @param {number} [options.swaps] - Random swaps applied by 'nearly-sorted' (default: 10% of size).
+ * @returns {number[]} - Array of numbers.
  */
-export function generateRandomArray(size) {
+export function generateRandomArray(size, options = {}) {
+  const { distribution = 'random', seed = randomSeed() } = options;
+  const random = createSeededRandom(seed);
+
+  // Helper: a whole number from 1 to 99
+  // random() gives 0.0 to 1.0, * 99 gives 0.0 to 99.0, floor + 1 gives 1 to 99
+  const randomValue = () => Math.floor(random() * 99) + 1;
+
+  // Helper: scales position 0..1 onto the 1..99 range
+  const scaled = (fraction) => Math.max(1, Math.round(fraction * 99));
+
   // Create an empty array to hold our numbers
   const newArray = [];
 
-  // Start a loop from 0 up to 'size'
-  for (let i = 0; i < size; i++) {
-    // Math.random() gives 0.0 to 1.0 (e.g., 0.543...)
-    // * 99 gives 0.0 to 99.0
-    // Math.floor cuts off decimals (e.g., 54)
-    // + 1 ensures we don't get 0 (range becomes 1 to 100)
-    const randomNum = Math.floor(Math.random() * 99) + 1;
+  switch (distribution) {
+    case 'sorted':
+    case 'reversed':
+    case 'nearly-sorted': {
+      for (let i = 0; i < size; i++) newArray.push(randomValue());
+      newArray.sort((a, b) => a - b);
+
+      if (distribution === 'reversed') newArray.reverse();
+
+      if (distribution === 'nearly-sorted') {
+        const swaps = options.swaps ?? Math.max(1, Math.floor(size / 10));
+        for (let k = 0; k < swaps; k++) {
+          const a = Math.floor(random() * size);
+          const b = Math.floor(random() * size);
+          [newArray[a], newArray[b]] = [newArray[b], newArray[a]];
+        }
+      }
+      break;
+    }
+
+    case 'few-unique': {
+      // A handful of distinct values, repeated many times
+      const palette = [];
+      for (let k = 0; k < 4; k++) palette.push(randomValue());
+      for (let i = 0; i < size; i++) {
+        newArray.push(palette[Math.floor(random() * palette.length)]);
+      }
+      break;
+    }
+
+    case 'sawtooth': {
+      // Several rising ramps: /|/|/|/|
+      const toothLength = Math.max(2, Math.ceil(size / 4));
+      for (let i = 0; i < size; i++) {
+        newArray.push(scaled(((i % toothLength) + 1) / toothLength));
+      }
+      break;
+    }
+
+    case 'organ-pipe': {
+      // Rises to the middle then falls: /\
+      const half = size / 2;
+      for (let i = 0; i < size; i++) {
+        const distanceFromEdge = Math.min(i + 1, size - i);
+        newArray.push(scaled(distanceFromEdge / Math.ceil(half)));
+      }
+      break;
+    }
 
-    // Add the new number to the end of our array
-    newArray.push(randomNum);
+    default: {
+      // 'random': uniform values
+      for (let i = 0; i < size; i++) newArray.push(randomValue());
+    }
   }
 
   // Send the finished array back to whoever asked for it
   return newArray;
 }
 
+// =============================================================================
+//  HISTORY RECORDING
+// =============================================================================
+
 /**
- * Generates the history steps for standard Bubble Sort.
- * Records comparisons, swaps, and finalizations.
+ * Creates a small helper that records steps into a SortHistory (history.js).
+ * Steps are stored as operations, not array copies; history.getFrame(step)
+ * rebuilds the usual frame shape ('initial' / 'comparison' / 'swap' / 'finalized').
+ * Every step also carries 'pass': the 1-based pass number (0 before the first pass).
+ * Each helper takes an optional trace { line, vars } naming the pseudocode
+ * line that produced the step and the loop variables at that moment.
  * @param {number[]} arr - The array to sort.
- * @returns {object[]} - List of step objects describing the sort.
+ * @param {object} [options] - Generation options:
+ *   order - { comparator, direction } from comparators.js (default: ascending values),
+ *   streaming - record-only history (see SortHistory.takeSteps),
+ *   flushEvery - steps per batch, onFlush(history, progress) - called after each batch.
+ * @returns {object} - Recorder with compare / swap / finalize helpers.
  */
-export function generateBubbleSortHistory(arr) {
-  const historyLog = [];
+function createHistoryRecorder(arr, options = {}) {
+  const { order = null, streaming = false, flushEvery = 0, onFlush = null } = options;
+  const history = new SortHistory(arr, { streaming, order });
+  const n = arr.length;
+
+  // "Is a after b?" for the chosen order (labeled records compare by key)
+  const compareElements = createComparator(order);
+
+  // Working copy the algorithm reads while it runs
+  const current = [...arr];
+  let pass = 0;
+
+  // Progress for onFlush: sorted share, or what the generator reported
+  let reportedProgress = 0;
+  let lastFlush = 0;
+
+  // Hands batches of steps to the caller (used by the worker to stream)
+  const afterRecord = () => {
+    if (onFlush && history.length - lastFlush >= flushEvery) {
+      lastFlush = history.length;
+      onFlush(history, Math.max(reportedProgress, history.sortedOrder.length / n));
+    }
+  };
+
+  return {
+    history,
+
+    // Read access to the live values
+    get array() {
+      return current;
+    },
+
+    // Call at the start of each pass (sweep, phase, gap round...)
+    startPass() {
+      pass++;
+    },
+
+    /**
+     * Records a comparison and reports whether the pair is out of order.
+     * @returns {boolean} - True if array[a] belongs after array[b] in the chosen order
+     *   (plain ascending: array[a] > array[b]).
+     */
+    compare(a, b, { line = null, vars = {} } = {}) {
+      history.record(OP_COMPARE, a, b, pass, line, vars);
+      afterRecord();
+      return compareElements(current[a], current[b]) > 0;
+    },
+
+    // Records a swap (and performs it on the working copy)
+    swap(a, b, { line = null, vars = {} } = {}) {
+      const temp = current[a];
+      current[a] = current[b];
+      current[b] = temp;
+      history.record(OP_SWAP, a, b, pass, line, vars);
+      afterRecord();
+    },
+
+    // Marks one index as sorted
+    finalize(index, { line = null, vars = {} } = {}) {
+      history.record(OP_FINALIZE, index, 0, pass, line, vars);
+      afterRecord();
+    },
+
+    // Has this index been finalized yet?
+    isSorted(index) {
+      return history.liveSortedMask[index] === 1;
+    },
+
+    // Marks every index that is not sorted yet (used when the sort ends)
+    finalizeRemaining({ line = null, vars = {} } = {}) {
+      if (history.sortedOrder.length === n) return;
+      history.record(OP_FINALIZE_ALL, 0, 0, pass, line, vars);
+      afterRecord();
+    },
+
+    // For algorithms that only finalize at the end: rough share of work done (0..1)
+    reportProgress(fraction) {
+      reportedProgress = Math.max(reportedProgress, fraction);
+    }
+  };
+}
 
-  // Create an initial copy of the data
-  let currentArraySnapshot = [...arr];
-  let currentSortedSnapshot = []; // Start with no bars sorted
 
-  // Initial state
-  historyLog.push({
-    type: 'initial',
-    array: currentArraySnapshot,
-    indices: [],
-    sortedIndices: currentSortedSnapshot
-  });
+// =============================================================================
+//  BUBBLE SORT
+// =============================================================================
 
-  const n = currentArraySnapshot.length;
+// Pseudocode shown next to the bars. Frames point at a line via 'line'.
+const BUBBLE_SORT_PSEUDOCODE = [
+  { id: 'outer', text: 'for i = 0 to n - 2' },
+  { id: 'inner', text: '  for j = 0 to n - i - 2' },
+  { id: 'compare', text: '    if a[j] > a[j + 1]' },
+  { id: 'swap', text: '      swap(a[j], a[j + 1])' },
+  { id: 'finalize', text: '  mark n - i - 1 as sorted' },
+  { id: 'finalize-last', text: 'mark 0 as sorted' }
+];
+
+/**
+ * Generates the history steps for standard Bubble Sort.
+ * Records comparisons, swaps, and finalizations.
+ * Each step also names the pseudocode 'line' that produced it and the loop 'vars'.
+ * @param {number[]} arr - The array to sort.
+ * @param {object} [options] - Recorder options ({ order, streaming, flushEvery, onFlush }).
+ * @returns {SortHistory} - Steps describing the sort (see history.js).
+ */
+export function generateBubbleSortHistory(arr, options = {}) {
+  const recorder = createHistoryRecorder(arr, options);
+  const n = arr.length;
 
   for (let i = 0; i < n - 1; i++) {
+    recorder.startPass();
+
     for (let j = 0; j < n - i - 1; j++) {
 
       // -- EVENT: COMPARISON --
-      // No data changes relative to the last step!
-      // REUSE: currentArraySnapshot & currentSortedSnapshot
-      historyLog.push({
-        type: 'comparison',
-        indices: [j, j + 1],
-        array: currentArraySnapshot, // Shared Ref
-        sortedIndices: currentSortedSnapshot // Shared Ref
-      });
-
       // The Check: Left > Right
-      // Access the SNAPSHOT directly since it represents current state
-      if (currentArraySnapshot[j] > currentArraySnapshot[j + 1]) {
-
-        // -- DATA CHANGE OCCURRING! --
-        // 1. Create NEW snapshot based on old one
-        const newArraySnapshot = [...currentArraySnapshot];
-
-        // 2. Perform Swap on NEW snapshot
-        const temp = newArraySnapshot[j];
-        newArraySnapshot[j] = newArraySnapshot[j + 1];
-        newArraySnapshot[j + 1] = temp;
-
-        // 3. Update our "Current" pointer
-        currentArraySnapshot = newArraySnapshot;
-
-        // Record swap
-        historyLog.push({
-          type: 'swap',
-          indices: [j, j + 1],
-          array: currentArraySnapshot,
-          sortedIndices: currentSortedSnapshot
-        });
+      if (recorder.compare(j, j + 1, { line: 'compare', vars: { i, j } })) {
+
+        // -- EVENT: SWAP --
+        recorder.swap(j, j + 1, { line: 'swap', vars: { i, j } });
       }
     }
 
-    // -- DATA CHANGE: Sorted List grows --
-    const finalizedIndex = n - i - 1;
-
-    // 1. Create NEW sorted list snapshot
-    const newSortedSnapshot = [...currentSortedSnapshot];
-    newSortedSnapshot.push(finalizedIndex);
-
-    // 2. Update Pointer
-    currentSortedSnapshot = newSortedSnapshot;
-
     // -- EVENT: FINALIZED --
-    historyLog.push({
-      type: 'finalized',
-      index: finalizedIndex,
-      indices: [finalizedIndex],
-      array: currentArraySnapshot, // Shared Ref
-      sortedIndices: currentSortedSnapshot // Snapshot Y (New Address)
-    });
+    // The largest remaining value has bubbled up to n - i - 1
+    recorder.finalize(n - i - 1, { line: 'finalize', vars: { i } });
   }
 
-  // Final Step: 0 is sorted
-  const finalSortedSnapshot = [...currentSortedSnapshot];
-  finalSortedSnapshot.push(0);
-  currentSortedSnapshot = finalSortedSnapshot;
+  // Final Step: 0 is sorted (an empty array has no position 0)
+  if (n > 0) recorder.finalize(0, { line: 'finalize-last' });
 
-  historyLog.push({
-    type: 'finalized',
-    index: 0,
-    indices: [0],
-    array: currentArraySnapshot, // Shared Ref
-    sortedIndices: currentSortedSnapshot // Snapshot Z
-  });
-
-  return historyLog;
+  return recorder.history;
 }
 
 
+const OPTIMIZED_BUBBLE_SORT_PSEUDOCODE = [
+  { id: 'outer', text: 'for i = 0 to n - 2' },
+  { id: 'reset-flag', text: '  swapped = false' },
+  { id: 'inner', text: '  for j = 0 to n - i - 2' },
+  { id: 'compare', text: '    if a[j] > a[j + 1]' },
+  { id: 'swap', text: '      swap(a[j], a[j + 1]); swapped = true' },
+  { id: 'finalize', text: '  mark n - i - 1 as sorted' },
+  { id: 'early-exit', text: '  if (!swapped) mark all as sorted; stop' },
+  { id: 'finalize-last', text: 'mark 0 as sorted' }
+];
+
 /**
  * Generates history for Optimized Bubble Sort (early exit if no swaps).
  * @param {number[]} arr - The array to sort.
- * @returns {object[]} - List of step objects.
+ * @param {object} [options] - Recorder options ({ order, streaming, flushEvery, onFlush }).
+ * @returns {SortHistory} - Steps describing the sort.
  */
-export function generateOptimizedBubbleSortHistory(arr) {
-  const historyLog = [];
-
-  // Snapshots
-  let currentArraySnapshot = [...arr];
-  let currentSortedSnapshot = [];
-
-  // Initial state
-  historyLog.push({
-    type: 'initial',
-    array: currentArraySnapshot,
-    indices: [],
-    sortedIndices: currentSortedSnapshot
-  });
-
-  const n = currentArraySnapshot.length;
+export function generateOptimizedBubbleSortHistory(arr, options = {}) {
+  const recorder = createHistoryRecorder(arr, options);
+  const n = arr.length;
 
   for (let i = 0; i < n - 1; i++) {
+    recorder.startPass();
 
     let swappedInThisPass = false;
 
     for (let j = 0; j < n - i - 1; j++) {
+      if (recorder.compare(j, j + 1, { line: 'compare', vars: { i, j, swapped: swappedInThisPass } })) {
+        swappedInThisPass = true;
+        recorder.swap(j, j + 1, { line: 'swap', vars: { i, j, swapped: swappedInThisPass } });
+      }
+    }
 
-      // Comparison (Shared)
-      historyLog.push({
-        type: 'comparison',
-        indices: [j, j + 1],
-        array: currentArraySnapshot, // Shared
-        sortedIndices: currentSortedSnapshot // Shared
-      });
+    // Finalize one element
+    recorder.finalize(n - i - 1, { line: 'finalize', vars: { i, swapped: swappedInThisPass } });
 
-      if (currentArraySnapshot[j] > currentArraySnapshot[j + 1]) {
+    // EARLY EXIT: a pass without swaps means everything is in order
+    if (!swappedInThisPass) {
+      recorder.finalizeRemaining({ line: 'early-exit', vars: { i, swapped: swappedInThisPass } });
+      break;
+    }
+  }
 
-        // Swap (New Snapshot)
-        const newArraySnapshot = [...currentArraySnapshot];
-        const temp = newArraySnapshot[j];
-        newArraySnapshot[j] = newArraySnapshot[j + 1];
-        newArraySnapshot[j + 1] = temp;
+  // Finalize first element if not early exit (and if there is one)
+  if (n > 0 && !recorder.isSorted(0)) {
+    recorder.finalize(0, { line: 'finalize-last' });
+  }
 
-        currentArraySnapshot = newArraySnapshot;
-        swappedInThisPass = true;
+  return recorder.history;
+}
+
+// =============================================================================
+//  BUBBLE SORT FAMILY
+// =============================================================================
+
+const COCKTAIL_SHAKER_PSEUDOCODE = [
+  { id: 'outer', text: 'while start < end' },
+  { id: 'forward', text: '  for j = start to end - 1' },
+  { id: 'forward-compare', text: '    if a[j] > a[j + 1]' },
+  { id: 'forward-swap', text: '      swap(a[j], a[j + 1]); swapped = true' },
+  { id: 'finalize-end', text: '  mark end as sorted; end--' },
+  { id: 'forward-exit', text: '  if (!swapped) stop' },
+  { id: 'backward', text: '  for j = end down to start + 1' },
+  { id: 'backward-compare', text: '    if a[j - 1] > a[j]' },
+  { id: 'backward-swap', text: '      swap(a[j - 1], a[j]); swapped = true' },
+  { id: 'finalize-start', text: '  mark start as sorted; start++' },
+  { id: 'backward-exit', text: '  if (!swapped) stop' },
+  { id: 'finalize-rest', text: 'mark the rest as sorted' }
+];
 
-        historyLog.push({
-          type: 'swap',
-          indices: [j, j + 1],
-          array: currentArraySnapshot, // New Ref
-          sortedIndices: currentSortedSnapshot // Shared
-        });
+/**
+ * Generates history for Cocktail Shaker Sort.
+ * Bubbles forward then backward, finalizing one bar at each end per round.
+ * @param {number[]} arr - The array to sort.
+ * @param {object} [options] - Recorder options ({ order, streaming, flushEvery, onFlush }).
+ * @returns {SortHistory} - Steps describing the sort.
+ */
+export function generateCocktailShakerSortHistory(arr, options = {}) {
+  const recorder = createHistoryRecorder(arr, options);
+  let start = 0;
+  let end = arr.length - 1;
+  let swapped = false;
+
+  while (start < end) {
+    swapped = false;
+
+    // Forward pass: largest value sinks to 'end'
+    recorder.startPass();
+    for (let j = start; j < end; j++) {
+      if (recorder.compare(j, j + 1, { line: 'forward-compare', vars: { start, end, j, swapped } })) {
+        swapped = true;
+        recorder.swap(j, j + 1, { line: 'forward-swap', vars: { start, end, j, swapped } });
       }
     }
+    recorder.finalize(end, { line: 'finalize-end', vars: { start, end, swapped } });
+    end--;
 
-    // Finalize one element
-    const finalizedIndex = n - i - 1;
-
-    // New Sorted Snapshot
-    const newSortedSnapshot = [...currentSortedSnapshot];
-    newSortedSnapshot.push(finalizedIndex);
-    currentSortedSnapshot = newSortedSnapshot;
-
-    historyLog.push({
-      type: 'finalized',
-      index: finalizedIndex,
-      indices: [finalizedIndex],
-      array: currentArraySnapshot, // Shared
-      sortedIndices: currentSortedSnapshot // New Ref
-    });
-
-    // EARLY EXIT
-    if (!swappedInThisPass) {
+    // Nothing moved: everything in between is already in order
+    if (!swapped) {
+      recorder.finalizeRemaining({ line: 'forward-exit', vars: { start, end, swapped } });
+      break;
+    }
+    swapped = false;
+
+    // Backward pass: smallest value floats to 'start'
+    recorder.startPass();
+    for (let j = end; j > start; j--) {
+      if (recorder.compare(j - 1, j, { line: 'backward-compare', vars: { start, end, j, swapped } })) {
+        swapped = true;
+        recorder.swap(j - 1, j, { line: 'backward-swap', vars: { start, end, j, swapped } });
+      }
+    }
+    recorder.finalize(start, { line: 'finalize-start', vars: { start, end, swapped } });
+    start++;
+
+    if (!swapped) {
+      recorder.finalizeRemaining({ line: 'backward-exit', vars: { start, end, swapped } });
+      break;
+    }
+  }
+
+  recorder.finalizeRemaining({ line: 'finalize-rest', vars: { start, end, swapped } });
+  return recorder.history;
+}
+
+const ODD_EVEN_PSEUDOCODE = [
+  { id: 'outer', text: 'while not sorted' },
+  { id: 'reset-flag', text: '  sorted = true' },
+  { id: 'phase', text: '  for start in [1 (odd), 0 (even)]' },
+  { id: 'inner', text: '    for j = start to n - 2 step 2' },
+  { id: 'compare', text: '      if a[j] > a[j + 1]' },
+  { id: 'swap', text: '        swap(a[j], a[j + 1]); sorted = false' },
+  { id: 'finalize-rest', text: 'mark all as sorted' }
+];
 
-      // Update sorted list with everything remaining
-      const finalExitSortedSnapshot = [...currentSortedSnapshot];
-      for (let k = 0; k < finalizedIndex; k++) {
-        if (!finalExitSortedSnapshot.includes(k)) {
-          finalExitSortedSnapshot.push(k);
+/**
+ * Generates history for Odd-Even Transposition Sort.
+ * Alternates between comparing (odd, odd+1) pairs and (even, even+1) pairs
+ * until a full odd + even round makes no swaps.
+ * @param {number[]} arr - The array to sort.
+ * @param {object} [options] - Recorder options ({ order, streaming, flushEvery, onFlush }).
+ * @returns {SortHistory} - Steps describing the sort.
+ */
+export function generateOddEvenSortHistory(arr, options = {}) {
+  const recorder = createHistoryRecorder(arr, options);
+  const n = arr.length;
+  let sorted = false;
+  let phases = 0;
+
+  while (!sorted) {
+    sorted = true;
+
+    // Phase 1 starts at 1 (odd pairs), phase 2 starts at 0 (even pairs)
+    for (const phaseStart of [1, 0]) {
+      const phase = phaseStart === 1 ? 'odd' : 'even';
+      recorder.startPass();
+      phases++;
+      recorder.reportProgress(phases / n); // n phases always suffice
+      for (let j = phaseStart; j < n - 1; j += 2) {
+        if (recorder.compare(j, j + 1, { line: 'compare', vars: { phase, j, sorted } })) {
+          sorted = false;
+          recorder.swap(j, j + 1, { line: 'swap', vars: { phase, j, sorted } });
         }
       }
-      currentSortedSnapshot = finalExitSortedSnapshot;
+    }
+  }
 
-      historyLog.push({
-        type: 'finalized',
-        index: 0,
-        indices: Array.from({ length: n }, (_, idx) => idx),
-        array: currentArraySnapshot, // Shared
-        sortedIndices: currentSortedSnapshot // New Ref
-      });
+  recorder.finalizeRemaining({ line: 'finalize-rest', vars: { sorted } });
+  return recorder.history;
+}
 
-      break;
+const COMB_SORT_PSEUDOCODE = [
+  { id: 'outer', text: 'while not sorted' },
+  { id: 'shrink', text: '  gap = floor(gap / 1.3)' },
+  { id: 'gap-one', text: '  if gap <= 1: gap = 1; sorted = true' },
+  { id: 'inner', text: '  for j = 0 to n - gap - 1' },
+  { id: 'compare', text: '    if a[j] > a[j + gap]' },
+  { id: 'swap', text: '      swap(a[j], a[j + gap]); sorted = false' },
+  { id: 'finalize-rest', text: 'mark all as sorted' }
+];
+
+/**
+ * Generates history for Comb Sort.
+ * Bubble sort with a shrinking gap (factor 1.3) that moves small values
+ * from the far end quickly; the final gap-1 passes are plain bubble passes.
+ * @param {number[]} arr - The array to sort.
+ * @param {object} [options] - Recorder options ({ order, streaming, flushEvery, onFlush }).
+ * @returns {SortHistory} - Steps describing the sort.
+ */
+export function generateCombSortHistory(arr, options = {}) {
+  const recorder = createHistoryRecorder(arr, options);
+  const n = arr.length;
+  const shrinkFactor = 1.3;
+
+  let gap = n;
+  let sorted = false;
+
+  // Gap shrinks to 1 in about log1.3(n) rounds, plus a couple of gap-1 passes
+  let rounds = 0;
+  const expectedRounds = Math.log(Math.max(n, 2)) / Math.log(shrinkFactor) + 2;
+
+  while (!sorted) {
+    gap = Math.floor(gap / shrinkFactor);
+    if (gap <= 1) {
+      gap = 1;
+      sorted = true; // Only a swap-free gap-1 pass ends the sort
+    }
+
+    recorder.startPass();
+    rounds++;
+    recorder.reportProgress(rounds / expectedRounds);
+    for (let j = 0; j + gap < n; j++) {
+      if (recorder.compare(j, j + gap, { line: 'compare', vars: { gap, j, sorted } })) {
+        sorted = false;
+        recorder.swap(j, j + gap, { line: 'swap', vars: { gap, j, sorted } });
+      }
     }
   }
 
-  // Finalize first element if not early exit
-  if (!currentSortedSnapshot.includes(0)) {
-    const finalSortedSnapshot = [...currentSortedSnapshot];
-    finalSortedSnapshot.push(0);
-    currentSortedSnapshot = finalSortedSnapshot;
-
-    historyLog.push({
-      type: 'finalized',
-      index: 0,
-      indices: [0],
-      array: currentArraySnapshot,
-      sortedIndices: currentSortedSnapshot
-    });
+  recorder.finalizeRemaining({ line: 'finalize-rest', vars: { gap, sorted } });
+  return recorder.history;
+}
+
+const GNOME_SORT_PSEUDOCODE = [
+  { id: 'outer', text: 'pos = 1; while pos < n' },
+  { id: 'compare', text: '  if pos > 0 and a[pos - 1] > a[pos]' },
+  { id: 'swap', text: '    swap(a[pos - 1], a[pos]); pos--' },
+  { id: 'advance', text: '  else pos++' },
+  { id: 'finalize-rest', text: 'mark all as sorted' }
+];
+
+/**
+ * Generates history for Gnome Sort.
+ * Walks forward while neighbours are in order, and steps back after each swap.
+ * A new pass starts each time the walk reaches a position it has never been
+ * to, i.e. each time a new value starts sinking into the sorted prefix.
+ * @param {number[]} arr - The array to sort.
+ * @param {object} [options] - Recorder options ({ order, streaming, flushEvery, onFlush }).
+ * @returns {SortHistory} - Steps describing the sort.
+ */
+export function generateGnomeSortHistory(arr, options = {}) {
+  const recorder = createHistoryRecorder(arr, options);
+  const n = arr.length;
+  let pos = 1;
+  let frontier = 1; // Furthest position reached so far
+
+  recorder.startPass();
+  while (pos < n) {
+    if (pos > 0 && recorder.compare(pos - 1, pos, { line: 'compare', vars: { pos } })) {
+      recorder.swap(pos - 1, pos, { line: 'swap', vars: { pos } });
+      pos--; // Follow the value back down
+    } else {
+      pos++;
+      if (pos > frontier && pos < n) {
+        frontier = pos;
+        recorder.startPass();
+        recorder.reportProgress(frontier / n);
+      }
+    }
   }
 
-  return historyLog;
-}
\ No newline at end of file
+  recorder.finalizeRemaining({ line: 'finalize-rest', vars: { pos } });
+  return recorder.history;
+}
+
+
+// =============================================================================
+//  ALGORITHM REGISTRY
+// =============================================================================
+
+/**
+ * Every algorithm the visualizer can run, in dropdown order.
+ * To add one: write a history generator that emits the same frame shape
+ * (including 'line' ids from its pseudocode) and add an entry here.
+ * The controller builds its menu from this list.
+ * @type {{id: string, name: string, generateHistory: function(number[], object=): SortHistory, pseudocode: {id: string, text: string}[]}[]}
+ */
+export const ALGORITHMS = [
+  { id: 'bubble', name: 'Bubble Sort', generateHistory: generateBubbleSortHistory, pseudocode: BUBBLE_SORT_PSEUDOCODE },
+  { id: 'bubble-optimized', name: 'Bubble Sort (Optimized)', generateHistory: generateOptimizedBubbleSortHistory, pseudocode: OPTIMIZED_BUBBLE_SORT_PSEUDOCODE },
+  { id: 'cocktail-shaker', name: 'Cocktail Shaker Sort', generateHistory: generateCocktailShakerSortHistory, pseudocode: COCKTAIL_SHAKER_PSEUDOCODE },
+  { id: 'odd-even', name: 'Odd-Even Transposition Sort', generateHistory: generateOddEvenSortHistory, pseudocode: ODD_EVEN_PSEUDOCODE },
+  { id: 'comb', name: 'Comb Sort', generateHistory: generateCombSortHistory, pseudocode: COMB_SORT_PSEUDOCODE },
+  { id: 'gnome', name: 'Gnome Sort', generateHistory: generateGnomeSortHistory, pseudocode: GNOME_SORT_PSEUDOCODE }
+];
+
+/**
+ * Looks up a registry entry by id.
+ * @param {string} id - Algorithm id (e.g., 'bubble').
+ * @returns {object} - The matching entry, or the first entry if unknown.
+ */
+export function getAlgorithm(id) {
+  return ALGORITHMS.find((algorithm) => algorithm.id === id) || ALGORITHMS[0];
+}
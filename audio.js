@@ -2,11 +2,58 @@
  * Manages real-time audio synthesis using the Web Audio API.
  */
 
+import { keyOf } from "./records.js";
+
+// Fast playback guard: never more than this many oscillators at once...
+const MAX_VOICES = 12;
+// ...and no two events closer together than this (seconds); extra events are skipped
+const MIN_EVENT_GAP = 0.015;
+
+// Waveform choices for the settings panel
+export const WAVEFORMS = [
+  { id: 'square', name: 'Square (8-bit)' },
+  { id: 'triangle', name: 'Triangle' },
+  { id: 'sine', name: 'Sine' },
+  { id: 'sawtooth', name: 'Sawtooth' }
+];
+
+// Sound modes: fixed effects, or pitch taken from the values being moved
+export const SOUND_MODES = [
+  { id: 'classic', name: 'Classic' },
+  { id: 'linear', name: 'Values (linear)' },
+  { id: 'pentatonic', name: 'Values (pentatonic)' }
+];
+
+// Value -> pitch range for sonification
+const LOW_FREQUENCY = 200;
+const HIGH_FREQUENCY = 1200;
+
+// Major pentatonic scale over three octaves from A3 (always sounds "in tune")
+const PENTATONIC_ROOT = 220;
+const PENTATONIC_DEGREES = [0, 2, 4, 7, 9]; // Semitones above the root
+const PENTATONIC_NOTES = PENTATONIC_DEGREES.length * 3;
+
+// Offline rendering: CD-quality mono, a little silence for the last chime to ring out,
+// and a length cap (a 10 minute buffer is already about 50 MB as a WAV)
+const OFFLINE_SAMPLE_RATE = 44100;
+const OFFLINE_TAIL = 0.5;
+const MAX_OFFLINE_SECONDS = 10 * 60;
+
 class SoundManager {
   // Initializes audio context and settings.
   constructor() {
     this.isMuted = false;     // Master Mute Switch
     this.oscillatorType = 'square'; // The "Voice" (8-bit sound)
+    this.mode = 'classic';    // See SOUND_MODES
+    this.masterVolume = 1;    // 0.0 to 1.0, applied on top of every event
+    this.eventVolumes = { compare: 1, swap: 1, sorted: 1 }; // 0.0 to 1.0 each
+
+    // Values being sorted (maps a value to a pitch in the value modes)
+    this.minValue = 0;
+    this.maxValue = 1;
+
+    // Live output (speakers), created on first use by liveOutput()
+    this.live = null;
   }
 
   /**
@@ -17,6 +64,11 @@ class SoundManager {
       // Create the Audio Context (Unified browser support)
       const AudioContext = window.AudioContext || window.webkitAudioContext;
       this.ctx = new AudioContext();
+
+      // Every voice goes through one master volume knob
+      this.master = this.ctx.createGain();
+      this.master.gain.value = this.masterVolume;
+      this.master.connect(this.ctx.destination);
     }
     // If the browser paused it (Suspended), wake it up.
     if (this.ctx.state === 'suspended') {
@@ -25,110 +77,299 @@ class SoundManager {
   }
 
   /**
-   * Plays a single synthesized tone.
-   * @param {number} frequency - Pitch in Hz.
-   * @param {string} type - Wave shape ('square', 'sine', etc.).
-   * @param {number} duration - Duration in seconds.
-   * @param {number} volume - Gain (0.0 to 1.0).
+   * Sets the master volume (takes effect immediately, even mid-note).
+   * @param {number} volume - 0.0 to 1.0.
    */
-  playTone(frequency, type, duration, volume = 0.1) {
-    // 1. Safety Checks
-    if (!this.ctx || this.isMuted) return;
+  setMasterVolume(volume) {
+    this.masterVolume = volume;
+    if (this.master) this.master.gain.setValueAtTime(volume, this.ctx.currentTime);
+  }
 
-    // 2. Create Modules
-    const osc = this.ctx.createOscillator(); // The Sound Generator
-    const gain = this.ctx.createGain();      // The Volume Knob
+  /**
+   * Tells the value modes which values the current array holds.
+   * @param {Array} values - The input array (labeled records count by key).
+   */
+  setValueRange(values) {
+    // A loop, not Math.min(...keys): spreading a huge array overflows the call stack
+    this.minValue = Infinity;
+    this.maxValue = -Infinity;
+    values.map(keyOf).forEach((value) => {
+      if (value < this.minValue) this.minValue = value;
+      if (value > this.maxValue) this.maxValue = value;
+    });
+  }
 
-    // 3. Configure Oscillator (Pitch & Tone)
-    osc.type = type;
-    // Set pitch NOW
-    osc.frequency.setValueAtTime(frequency, this.ctx.currentTime);
+  /**
+   * Maps a value to a pitch (linear or snapped to the pentatonic scale).
+   * @param {number} value - One of the values being sorted.
+   * @returns {number} - Frequency in Hz.
+   */
+  frequencyFor(value) {
+    const range = this.maxValue - this.minValue;
+    const t = range > 0 ? Math.min(1, Math.max(0, (value - this.minValue) / range)) : 0.5;
 
-    // 4. Configure Envelope (Fade Out)
-    // Visual: [LOUD] -> [quiet] -> [silent]
-    gain.gain.setValueAtTime(volume, this.ctx.currentTime);
-    // Fade to near silence quickly (Exponential decay sounds natural)
-    gain.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + duration);
+    if (this.mode === 'pentatonic') {
+      const note = Math.round(t * (PENTATONIC_NOTES - 1));
+      const octave = Math.floor(note / PENTATONIC_DEGREES.length);
+      const semitones = octave * 12 + PENTATONIC_DEGREES[note % PENTATONIC_DEGREES.length];
+      return PENTATONIC_ROOT * Math.pow(2, semitones / 12);
+    }
+    return LOW_FREQUENCY + t * (HIGH_FREQUENCY - LOW_FREQUENCY);
+  }
 
-    // 5. Connect the Cables
-    // OSC -> GAIN -> SPEAKERS
+  /**
+   * Rate limit: may this event start `count` new oscillators at `when`?
+   * At 1 ms per step most events are skipped instead of piling up and clipping
+   * (offline rendering applies the same rule, so exports sound like playback).
+   * @param {object} output - From liveOutput() or an offline render.
+   * @param {number} when - Start time in the output's clock (seconds).
+   * @param {number} count - Oscillators the event needs.
+   * @returns {boolean}
+   */
+  reserveVoices(output, when, count) {
+    // Forget voices that have finished by now
+    output.voiceEnds = output.voiceEnds.filter((end) => end > when);
+
+    if (output.voiceEnds.length + count > MAX_VOICES || when - output.lastEventTime < MIN_EVENT_GAP) return false;
+
+    output.lastEventTime = when;
+    return true;
+  }
+
+  /**
+   * Where live playback goes: the speakers (null when muted or not started).
+   * @returns {object|null} - { ctx, destination, lastEventTime, voiceEnds }
+   */
+  liveOutput() {
+    if (!this.ctx || this.isMuted) return null;
+    if (!this.live) {
+      this.live = { ctx: this.ctx, destination: this.master, lastEventTime: -Infinity, voiceEnds: [] };
+    }
+    return this.live;
+  }
+
+  /**
+   * Creates one oscillator -> gain pair routed through the output's master volume.
+   * @param {object} output - From liveOutput() or an offline render.
+   * @param {number} start - Start time (seconds).
+   * @param {number} duration - How long it sounds (seconds).
+   * @returns {{osc: OscillatorNode, gain: GainNode}}
+   */
+  createVoice(output, start, duration) {
+    const osc = output.ctx.createOscillator(); // The Sound Generator
+    const gain = output.ctx.createGain();      // The Volume Knob
+    osc.type = this.oscillatorType;
+
+    // OSC -> GAIN -> MASTER -> SPEAKERS (or the offline buffer)
     osc.connect(gain);
-    gain.connect(this.ctx.destination);
+    gain.connect(output.destination);
+
+    // Play and Stop (and free the voice slot afterwards)
+    osc.start(start);
+    osc.stop(start + duration);
+    output.voiceEnds.push(start + duration);
+    osc.onended = () => gain.disconnect();
 
-    // 6. Play and Stop
-    osc.start(); // Start NOW
-    osc.stop(this.ctx.currentTime + duration); // Stop LATER
+    return { osc, gain };
   }
 
+  // ---------------------------------------------------------------------------
+  //  Sound design: each event is scheduled at a time on an output, so live
+  //  playback and the offline WAV export share exactly the same sounds.
+  // ---------------------------------------------------------------------------
+
   /**
-   * Plays a short 'blip' for comparisons.
+   * A single tone with a quick fade out.
+   * @param {object} output - Where to play.
+   * @param {number} when - Start time (seconds).
+   * @param {number} frequency - Pitch in Hz.
+   * @param {number} duration - Duration in seconds.
+   * @param {number} volume - Gain (0.0 to 1.0).
    */
-  playCompare() {
-    this.playTone(600, 'square', 0.05, 0.05);
+  scheduleTone(output, when, frequency, duration, volume) {
+    const { osc, gain } = this.createVoice(output, when, duration);
+
+    // Set pitch
+    osc.frequency.setValueAtTime(frequency, when);
+
+    // Configure Envelope (Fade Out)
+    // Visual: [LOUD] -> [quiet] -> [silent]
+    gain.gain.setValueAtTime(volume, when);
+    // Fade to near silence quickly (Exponential decay sounds natural)
+    gain.gain.exponentialRampToValueAtTime(0.2 * volume, when + duration);
   }
 
   /**
-   * Plays a rising pitch 'zip' for swaps.
+   * The comparison 'blip' (or both compared values, in the value modes).
+   * @param {object} output - Where to play.
+   * @param {number} when - Start time (seconds).
+   * @param {number[]|null} values - The two values compared.
    */
-  playSwap() {
-    if (!this.ctx || this.isMuted) return;
+  scheduleCompare(output, when, values) {
+    const volume = 0.05 * this.eventVolumes.compare;
+    if (volume === 0) return;
 
-    const osc = this.ctx.createOscillator();
-    const gain = this.ctx.createGain();
+    // Value modes: both values sound together
+    if (this.mode !== 'classic' && values) {
+      if (!this.reserveVoices(output, when, values.length)) return;
+      values.forEach((value) => this.scheduleTone(output, when, this.frequencyFor(value), 0.05, volume / values.length));
+      return;
+    }
 
-    // Square wave = 8-bit aesthetic
-    osc.type = 'square';
+    if (!this.reserveVoices(output, when, 1)) return;
+    this.scheduleTone(output, when, 600, 0.05, volume);
+  }
 
-    // -- PITCH RAMP --
-    // Start Low (200Hz) ...
-    osc.frequency.setValueAtTime(200, this.ctx.currentTime);
-    // ... Slide to High (400Hz) over 0.1 seconds
-    osc.frequency.linearRampToValueAtTime(400, this.ctx.currentTime + 0.1);
+  /**
+   * The swap 'zip': a pitch slide (from one value's pitch to the other's, in the value modes).
+   * @param {object} output - Where to play.
+   * @param {number} when - Start time (seconds).
+   * @param {boolean} reversed - Slide the other way (rewinding undoes the swap).
+   * @param {number[]|null} values - The two values swapped.
+   */
+  scheduleSwap(output, when, reversed, values) {
+    const volume = 0.05 * this.eventVolumes.swap;
+    if (volume === 0 || !this.reserveVoices(output, when, 1)) return;
 
-    // -- VOLUME ENVELOPE --
-    gain.gain.setValueAtTime(0.05, this.ctx.currentTime);
-    gain.gain.linearRampToValueAtTime(0.01, this.ctx.currentTime + 0.1);
+    const { osc, gain } = this.createVoice(output, when, 0.1);
 
-    // Connect
-    osc.connect(gain);
-    gain.connect(this.ctx.destination);
+    // -- PITCH RAMP --
+    // Classic: Low (200Hz) -> High (400Hz). Value modes: one value's pitch -> the other's.
+    let from = 200;
+    let to = 400;
+    if (this.mode !== 'classic' && values) {
+      from = this.frequencyFor(values[0]);
+      to = this.frequencyFor(values[1]);
+    }
+    if (reversed) [from, to] = [to, from];
+
+    osc.frequency.setValueAtTime(from, when);
+    // ... Slide over 0.1 seconds
+    osc.frequency.linearRampToValueAtTime(to, when + 0.1);
 
-    // Play
-    osc.start();
-    osc.stop(this.ctx.currentTime + 0.1);
+    // -- VOLUME ENVELOPE --
+    gain.gain.setValueAtTime(volume, when);
+    gain.gain.linearRampToValueAtTime(0.2 * volume, when + 0.1);
   }
 
   /**
-   * Plays a fast arpeggio when a bar is sorted.
+   * The 'sorted' chime: a fast C major arpeggio.
+   * @param {object} output - Where to play.
+   * @param {number} when - Start time (seconds).
+   * @param {boolean} reversed - Play it downward (rewinding "un-sorts" the bar).
    */
-  playSorted() {
-    if (!this.ctx || this.isMuted) return;
+  scheduleSorted(output, when, reversed) {
+    const volume = 0.05 * this.eventVolumes.sorted;
 
-    const now = this.ctx.currentTime;
     // Frequencies for C Major: C4, E4, G4, C5
     const notes = [523.25, 659.25, 783.99, 1046.50];
+    if (volume === 0 || !this.reserveVoices(output, when, notes.length)) return;
+    if (reversed) notes.reverse();
 
     // Loop through each note and schedule it
     notes.forEach((freq, i) => {
-      const osc = this.ctx.createOscillator();
-      const gain = this.ctx.createGain();
-
-      osc.type = 'square';
+      // Stagger start times: 0s, 0.1s, 0.2s...
+      const start = when + (i * 0.1);
+      const { osc, gain } = this.createVoice(output, start, 0.1);
       osc.frequency.value = freq;
 
-      // Stagger start times: 0s, 0.1s, 0.2s...
-      const start = now + (i * 0.1);
+      gain.gain.setValueAtTime(volume, start);
+      gain.gain.linearRampToValueAtTime(0.02 * volume, start + 0.1);
+    });
+  }
 
-      gain.gain.setValueAtTime(0.05, start);
-      gain.gain.linearRampToValueAtTime(0.001, start + 0.1);
+  // ---------------------------------------------------------------------------
+  //  Live playback
+  // ---------------------------------------------------------------------------
 
-      osc.connect(gain);
-      gain.connect(this.ctx.destination);
+  /**
+   * Plays a short 'blip' for comparisons.
+   * @param {number[]} [values] - The two values compared (used by the value modes).
+   */
+  playCompare(values = null) {
+    const output = this.liveOutput();
+    if (output) this.scheduleCompare(output, this.ctx.currentTime, values);
+  }
 
-      osc.start(start);
-      osc.stop(start + 0.1);
-    });
+  /**
+   * Plays a rising pitch 'zip' for swaps.
+   * @param {boolean} [reversed=false] - Falling 'zip' instead (rewinding undoes the swap).
+   * @param {number[]} [values] - The two values swapped (used by the value modes).
+   */
+  playSwap(reversed = false, values = null) {
+    const output = this.liveOutput();
+    if (output) this.scheduleSwap(output, this.ctx.currentTime, reversed, values);
+  }
+
+  /**
+   * Plays a fast arpeggio when a bar is sorted.
+   * @param {boolean} [reversed=false] - Play it downward (rewinding "un-sorts" the bar).
+   */
+  playSorted(reversed = false) {
+    const output = this.liveOutput();
+    if (output) this.scheduleSorted(output, this.ctx.currentTime, reversed);
+  }
+
+  // ---------------------------------------------------------------------------
+  //  Offline rendering (WAV export)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Renders the sound of a whole history, one event every `stepSeconds`,
+   * with the current sound settings (mute aside).
+   * @param {SortHistory} history - The run (history.js).
+   * @param {number} stepSeconds - Time between steps, as in live playback.
+   * @returns {Promise<{buffer: AudioBuffer|null, error: string|null}>}
+   */
+  async renderHistory(history, stepSeconds) {
+    // 1. CHECK: Can this browser render offline, and is the result a sane size?
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+      return { buffer: null, error: 'This browser cannot render audio offline.' };
+    }
+
+    const duration = (history.length - 1) * stepSeconds + OFFLINE_TAIL;
+    if (duration > MAX_OFFLINE_SECONDS) {
+      const minutes = Math.ceil(duration / 60);
+      return { buffer: null, error: `That soundtrack would be ${minutes} minutes long; speed up or use a smaller array.` };
+    }
+
+    // 2. SETUP: A silent context with its own master volume and voice limit
+    // (the constructor throws when the browser cannot allocate that many samples)
+    let ctx;
+    try {
+      ctx = new OfflineContext(1, Math.ceil(duration * OFFLINE_SAMPLE_RATE), OFFLINE_SAMPLE_RATE);
+    } catch (err) {
+      return { buffer: null, error: `This browser cannot render a soundtrack that long (${err.message}).` };
+    }
+    const master = ctx.createGain();
+    master.gain.value = this.masterVolume;
+    master.connect(ctx.destination);
+    const output = { ctx, destination: master, lastEventTime: -Infinity, voiceEnds: [] };
+
+    // 3. SCHEDULE: Walk the steps, tracking values for the value modes
+    const values = history.input.map(keyOf);
+    for (let step = 1; step < history.length; step++) {
+      const when = (step - 1) * stepSeconds;
+      const type = history.getType(step);
+      const indices = history.getIndices(step);
+
+      if (type === 'swap') {
+        [values[indices[0]], values[indices[1]]] = [values[indices[1]], values[indices[0]]];
+      }
+
+      if (type === 'comparison') this.scheduleCompare(output, when, indices.map((idx) => values[idx]));
+      if (type === 'swap') this.scheduleSwap(output, when, false, indices.map((idx) => values[idx]));
+      if (type === 'finalized') this.scheduleSorted(output, when, false);
+    }
+
+    // 4. RENDER: Faster than real time
+    try {
+      return { buffer: await ctx.startRendering(), error: null };
+    } catch (err) {
+      return { buffer: null, error: `Rendering the soundtrack failed (${err.message}).` };
+    }
   }
 }
 
-export const audioManager = new SoundManager();
\ No newline at end of file
+export const audioManager = new SoundManager();
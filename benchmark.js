@@ -0,0 +1,254 @@
+/**
+ * Benchmark: runs the bubble sort history generators (nothing is drawn) over a
+ * range of sizes and input shapes, several times per size, then averages the
+ * operation counts and plots them against n next to an n² reference curve.
+ */
+
+import { generateBubbleSortHistory, generateOptimizedBubbleSortHistory, generateRandomArray, DISTRIBUTIONS } from "./algorithms.js";
+import { OP_COMPARE, OP_SWAP } from "./history.js";
+
+// The two variants being compared (colors stay apart in both bar palettes)
+export const BENCHMARK_VARIANTS = [
+  { id: 'bubble', name: 'Standard', color: '#e69f00', generateHistory: generateBubbleSortHistory },
+  { id: 'bubble-optimized', name: 'Optimized', color: '#0072b2', generateHistory: generateOptimizedBubbleSortHistory }
+];
+
+// What the chart can plot against n
+export const BENCHMARK_METRICS = [
+  { id: 'comparisons', name: 'Comparisons' },
+  { id: 'swaps', name: 'Swaps' },
+  { id: 'frames', name: 'Total frames' }
+];
+
+// Guards: n = 1000 already records ~750,000 steps per run
+const MAX_BENCHMARK_SIZE = 1000;
+const MAX_SIZE_POINTS = 50;
+const MAX_RUNS = 20;
+
+const REFERENCE_COLOR = '#999';
+
+/**
+ * Validates the benchmark settings typed in the panel.
+ * @param {object} settings
+ * @param {string} settings.from - Smallest size.
+ * @param {string} settings.to - Largest size.
+ * @param {string} settings.step - Size increment.
+ * @param {string} settings.runs - Runs per size (different seeds).
+ * @param {string[]} settings.distributions - DISTRIBUTIONS ids to try.
+ * @returns {{plan: object|null, error: string|null}} - { sizes, runs, distributions }, or a message to show inline.
+ */
+export function planBenchmark({ from, to, step, runs, distributions }) {
+  const [low, high, increment, count] = [from, to, step, runs].map(Number);
+  const isWhole = (value) => Number.isInteger(value) && value >= 1;
+
+  // 1. CHECK each number
+  if (!isWhole(low) || !isWhole(high) || low > high) {
+    return { plan: null, error: 'Sizes must be whole numbers, "from" no larger than "to".' };
+  }
+  if (high > MAX_BENCHMARK_SIZE) {
+    return { plan: null, error: `Sizes go up to ${MAX_BENCHMARK_SIZE}.` };
+  }
+  if (!isWhole(increment)) return { plan: null, error: 'The size step must be 1 or more.' };
+  if (!isWhole(count) || count > MAX_RUNS) {
+    return { plan: null, error: `Runs per size must be 1 to ${MAX_RUNS}.` };
+  }
+
+  // 2. CHECK the shapes
+  const known = distributions.filter((id) => DISTRIBUTIONS.some((entry) => entry.id === id));
+  if (known.length === 0) return { plan: null, error: 'Pick at least one input shape.' };
+
+  // 3. SIZES: from, from + step, ... and always "to" itself
+  const sizes = [];
+  for (let n = low; n < high; n += increment) sizes.push(n);
+  sizes.push(high);
+  if (sizes.length > MAX_SIZE_POINTS) {
+    return { plan: null, error: `That is ${sizes.length} sizes; use a bigger step (at most ${MAX_SIZE_POINTS}).` };
+  }
+
+  return { plan: { sizes, runs: count, distributions: known }, error: null };
+}
+
+/**
+ * Counts what one history did.
+ * @param {SortHistory} history
+ * @returns {{comparisons: number, swaps: number, frames: number}}
+ */
+function countOperations(history) {
+  let comparisons = 0;
+  let swaps = 0;
+  for (let step = 0; step < history.length; step++) {
+    const op = history.getOp(step);
+    if (op === OP_COMPARE) comparisons++;
+    if (op === OP_SWAP) swaps++;
+  }
+  return { comparisons, swaps, frames: history.length };
+}
+
+/**
+ * Runs every variant on every (shape, size, run) of a plan.
+ * Both variants sort the same array, so their counts compare directly.
+ * Yields to the browser between arrays, so the page stays responsive.
+ * @param {object} plan - From planBenchmark().
+ * @param {object} [options]
+ * @param {number} [options.seed=1] - Run r uses seed + r (the same arrays at every size's run r).
+ * @param {function(number): void} [options.onProgress] - Called with 0..1.
+ * @param {AbortSignal} [options.signal] - Stops the benchmark early.
+ * @returns {Promise<{rows: object[]|null, error: string|null}>} - One row per history:
+ *   { variant, distribution, size, run, seed, comparisons, swaps, frames }.
+ */
+export async function runBenchmark(plan, { seed = 1, onProgress = () => {}, signal } = {}) {
+  const { sizes, runs, distributions } = plan;
+  const total = distributions.length * sizes.length * runs;
+  const rows = [];
+  let done = 0;
+
+  for (const distribution of distributions) {
+    for (const size of sizes) {
+      for (let run = 0; run < runs; run++) {
+        if (signal && signal.aborted) return { rows: null, error: 'Benchmark cancelled.' };
+
+        const runSeed = seed + run;
+        const array = generateRandomArray(size, { distribution, seed: runSeed });
+        BENCHMARK_VARIANTS.forEach((variant) => {
+          const counts = countOperations(variant.generateHistory(array));
+          rows.push({ variant: variant.id, distribution, size, run: run + 1, seed: runSeed, ...counts });
+        });
+
+        onProgress(++done / total);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+  }
+
+  return { rows, error: null };
+}
+
+/**
+ * Averages the runs of each (variant, shape, size).
+ * @param {object[]} rows - From runBenchmark().
+ * @returns {object[]} - { variant, distribution, size, runs, comparisons, swaps, frames } (means).
+ */
+export function summarizeBenchmark(rows) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = `${row.variant}|${row.distribution}|${row.size}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  return [...groups.values()].map((group) => {
+    const { variant, distribution, size } = group[0];
+    const mean = (metric) => group.reduce((sum, row) => sum + row[metric], 0) / group.length;
+    return { variant, distribution, size, runs: group.length, comparisons: mean('comparisons'), swaps: mean('swaps'), frames: mean('frames') };
+  });
+}
+
+/**
+ * Every run as CSV (one line per history, ready for a spreadsheet).
+ * @param {object[]} rows - From runBenchmark().
+ * @returns {string}
+ */
+export function benchmarkToCsv(rows) {
+  const columns = ['variant', 'distribution', 'size', 'run', 'seed', 'comparisons', 'swaps', 'frames'];
+  const lines = rows.map((row) => columns.map((column) => row[column]).join(','));
+  return `${[columns.join(','), ...lines].join('\n')}\n`;
+}
+
+/**
+ * Plots one metric against n for one input shape: a line per variant plus the
+ * n²/2 reference (what standard bubble sort's comparisons grow like).
+ * @param {HTMLCanvasElement} canvas - The chart (sized by CSS).
+ * @param {object[]} summary - From summarizeBenchmark().
+ * @param {object} view
+ * @param {string} view.metric - BENCHMARK_METRICS id.
+ * @param {string} view.distribution - DISTRIBUTIONS id.
+ */
+export function renderBenchmarkChart(canvas, summary, { metric, distribution }) {
+  // 1. SIZE: Match the canvas resolution to its on-screen size
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.max(1, Math.floor(canvas.clientWidth * ratio));
+  const height = Math.max(1, Math.floor(canvas.clientHeight * ratio));
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, width, height);
+
+  const points = summary.filter((row) => row.distribution === distribution);
+  const sizes = [...new Set(points.map((row) => row.size))].sort((a, b) => a - b);
+  if (sizes.length === 0) {
+    canvas.setAttribute('aria-label', 'Benchmark chart: no results yet');
+    return;
+  }
+
+  // 2. SCALES: n on x, the metric on y (both from 0)
+  const reference = (n) => (n * n) / 2;
+  const maxN = sizes[sizes.length - 1];
+  const maxY = Math.max(1, reference(maxN), ...points.map((row) => row[metric]));
+  const margin = { left: 70 * ratio, right: 10 * ratio, top: 10 * ratio, bottom: 30 * ratio };
+  const x = (n) => margin.left + (n / maxN) * (width - margin.left - margin.right);
+  const y = (value) => height - margin.bottom - (value / maxY) * (height - margin.top - margin.bottom);
+
+  // 3. AXES with their largest values
+  ctx.strokeStyle = '#ddd';
+  ctx.fillStyle = '#ddd';
+  ctx.lineWidth = ratio;
+  ctx.font = `${11 * ratio}px "Courier New", monospace`;
+  ctx.beginPath();
+  ctx.moveTo(margin.left, margin.top);
+  ctx.lineTo(margin.left, height - margin.bottom);
+  ctx.lineTo(width - margin.right, height - margin.bottom);
+  ctx.stroke();
+  ctx.textBaseline = 'top';
+  ctx.fillText(String(Math.round(maxY)), 4 * ratio, margin.top);
+  ctx.fillText('0', 4 * ratio, height - margin.bottom - 11 * ratio);
+  ctx.fillText(`n = ${maxN}`, width - margin.right - 80 * ratio, height - margin.bottom + 8 * ratio);
+
+  // 4. LINES: the reference (dashed), then one per variant
+  const drawLine = (values, color, dashed) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2 * ratio;
+    ctx.setLineDash(dashed ? [6 * ratio, 4 * ratio] : []);
+    ctx.beginPath();
+    values.forEach(([n, value], i) => {
+      if (i === 0) ctx.moveTo(x(n), y(value));
+      else ctx.lineTo(x(n), y(value));
+    });
+    ctx.stroke();
+  };
+
+  const curve = [];
+  for (let k = 0; k <= 50; k++) {
+    const n = (k / 50) * maxN;
+    curve.push([n, reference(n)]);
+  }
+  drawLine(curve, REFERENCE_COLOR, true);
+
+  const legend = [{ label: 'n²/2', color: REFERENCE_COLOR }];
+  const spoken = [];
+  BENCHMARK_VARIANTS.forEach((variant) => {
+    const line = points
+      .filter((row) => row.variant === variant.id)
+      .sort((a, b) => a.size - b.size)
+      .map((row) => [row.size, row[metric]]);
+    if (line.length === 0) return;
+    drawLine(line, variant.color, false);
+    legend.push({ label: variant.name, color: variant.color });
+    spoken.push(`${variant.name} ${Math.round(line[line.length - 1][1])}`);
+  });
+  ctx.setLineDash([]);
+
+  // 5. LEGEND in the top-left corner of the plot
+  legend.forEach(({ label, color }, i) => {
+    const top = margin.top + i * 16 * ratio;
+    ctx.fillStyle = color;
+    ctx.fillRect(margin.left + 10 * ratio, top + 2 * ratio, 12 * ratio, 8 * ratio);
+    ctx.fillStyle = '#ddd';
+    ctx.fillText(label, margin.left + 28 * ratio, top);
+  });
+
+  // Screen readers get the numbers at the largest size
+  const metricName = BENCHMARK_METRICS.find((entry) => entry.id === metric).name;
+  canvas.setAttribute('aria-label',
+    `${metricName} against n; at n = ${maxN}: ${spoken.join(', ')} (n²/2 = ${reference(maxN)})`);
+}
@@ -0,0 +1,138 @@
+/**
+ * Conditional breakpoints: "pause when ..." rules checked by the animation loop.
+ * Pure logic (no DOM). A breakpoint is a plain object { type, a, b }, where
+ * a / b are the numbers its condition needs (null when unused).
+ */
+
+import { isPassEnd, isSwap } from "./timeline.js";
+import { keyOf } from "./records.js";
+
+// Condition types in dropdown order (params = how many numbers they need)
+export const BREAKPOINT_TYPES = [
+  { id: 'compare', name: 'Indices compared', params: 2 },
+  { id: 'moves', name: 'Value moves', params: 1 },
+  { id: 'clean-pass', name: 'Pass with no swaps', params: 0 },
+  { id: 'inversions', name: 'Inversions below', params: 1 }
+];
+
+/**
+ * Validates the numbers typed for a new breakpoint.
+ * @param {string} type - Id from BREAKPOINT_TYPES.
+ * @param {string} textA - First number box.
+ * @param {string} textB - Second number box.
+ * @returns {{breakpoint: object|null, error: string|null}} - The breakpoint, or a message to show inline.
+ */
+export function createBreakpoint(type, textA, textB) {
+  const kind = BREAKPOINT_TYPES.find((entry) => entry.id === type);
+  if (!kind) return { breakpoint: null, error: 'Pick a condition.' };
+
+  const a = Number(textA);
+  const b = Number(textB);
+  const isIndex = (value, text) => text.trim() !== '' && Number.isInteger(value) && value >= 0;
+
+  // 1. CHECK the numbers each condition needs
+  if (type === 'compare') {
+    if (!isIndex(a, textA) || !isIndex(b, textB)) {
+      return { breakpoint: null, error: 'Enter two positions (0 = leftmost).' };
+    }
+    if (a === b) return { breakpoint: null, error: 'Pick two different positions.' };
+    return { breakpoint: { type, a: Math.min(a, b), b: Math.max(a, b) }, error: null };
+  }
+  if (type === 'moves') {
+    if (textA.trim() === '' || !Number.isFinite(a)) {
+      return { breakpoint: null, error: 'Enter the value to watch.' };
+    }
+    return { breakpoint: { type, a, b: null }, error: null };
+  }
+  if (type === 'inversions') {
+    if (!isIndex(a, textA)) return { breakpoint: null, error: 'Enter a whole number of inversions.' };
+    return { breakpoint: { type, a, b: null }, error: null };
+  }
+
+  return { breakpoint: { type, a: null, b: null }, error: null };
+}
+
+/**
+ * Short label for the breakpoint list.
+ * @param {object} breakpoint - From createBreakpoint().
+ * @returns {string}
+ */
+export function describeBreakpoint({ type, a, b }) {
+  if (type === 'compare') return `Indices ${a} and ${b} compared`;
+  if (type === 'moves') return `Value ${a} moves`;
+  if (type === 'inversions') return `Inversions drop below ${a}`;
+  return 'A pass with no swaps ends';
+}
+
+/**
+ * Does a breakpoint match the step just reached?
+ * Conditions fire on the step where they become true (e.g. the step that
+ * takes inversions below the limit), not on every step after it.
+ * @param {object} breakpoint - From createBreakpoint().
+ * @param {object} frame - history.getFrame(step).
+ * @param {{history: SortHistory, step: number, stats: object|null, inversions: function|null}} context -
+ *   stats is null while calculating; inversions (stats.js createInversionCounter()) then stands in for it.
+ * @returns {boolean}
+ */
+export function matchesBreakpoint(breakpoint, frame, { history, step, stats, inversions = null }) {
+  const { type, a, b } = breakpoint;
+
+  if (type === 'compare') {
+    return frame.type === 'comparison' &&
+      Math.min(...frame.indices) === a && Math.max(...frame.indices) === b;
+  }
+
+  if (type === 'moves') {
+    return frame.type === 'swap' && frame.indices.some((idx) => keyOf(frame.array[idx]) === a);
+  }
+
+  if (type === 'clean-pass') {
+    // At the end of a pass, look back over it for swaps
+    if (!isPassEnd(history, step)) return false;
+    const pass = history.getPass(step);
+    for (let s = step; s > 0 && history.getPass(s) === pass; s--) {
+      if (isSwap(history, s)) return false;
+    }
+    return true;
+  }
+
+  if (type === 'inversions') {
+    if (step === 0) return false;
+    if (!stats) {
+      // Still calculating: follow the count from the frame itself
+      if (!inversions) return false;
+      const { before, after } = inversions(step, frame.array);
+      return before >= a && after < a;
+    }
+    // Ask for the earlier step first: stats.at() is cheapest moving forward
+    const before = stats.at(step - 1).inversions;
+    return before >= a && stats.at(step).inversions < a;
+  }
+
+  return false;
+}
+
+/**
+ * Packs a breakpoint list into one URL-friendly string: "compare:3:4,moves:57,clean-pass".
+ * @param {object[]} breakpoints - From createBreakpoint().
+ * @returns {string}
+ */
+export function encodeBreakpoints(breakpoints) {
+  return breakpoints
+    .map(({ type, a, b }) => [type, a, b].filter((part) => part !== null).join(':'))
+    .join(',');
+}
+
+/**
+ * Reads encodeBreakpoints() output back. Broken entries are dropped.
+ * @param {string} text - From the URL.
+ * @returns {object[]} - The breakpoints that were valid.
+ */
+export function decodeBreakpoints(text) {
+  return text.split(',')
+    .map((entry) => {
+      const [type, a = '', b = ''] = entry.split(':');
+      return createBreakpoint(type, a, b).breakpoint;
+    })
+    .filter((breakpoint) => breakpoint !== null);
+}
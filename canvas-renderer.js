@@ -0,0 +1,281 @@
+/**
+ * Canvas renderer for large arrays (thousands of bars).
+ * Uses the same coloring rules as the DOM renderer in display.js, but keeps
+ * the previous frame in memory and only repaints the bars that changed.
+ */
+
+import { keyOf, tagColorOf } from "./records.js";
+
+// Bar color sets, mirroring the --bar-* variables in styles.css.
+// 'colorblind' uses Okabe-Ito colors, which stay apart for red-green and
+// blue-yellow color blindness (orange / yellow-green / sky blue do not).
+export const PALETTES = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    colors: {
+      bar: 'rgb(172, 170, 170)',
+      comparing: 'orange',
+      swapping: 'greenyellow',
+      sorted: 'skyblue',
+      finished: '#7fd4ff' // Completion wave highlight
+    }
+  },
+  {
+    id: 'colorblind',
+    name: 'Colorblind-safe',
+    colors: {
+      bar: 'rgb(172, 170, 170)',
+      comparing: '#e69f00',
+      swapping: '#0072b2',
+      sorted: '#cc79a7',
+      finished: '#f0e442'
+    }
+  }
+];
+
+// Colors in use (changed in place by setPalette, so importers always see the current set)
+export const COLORS = { ...PALETTES[0].colors };
+
+// Color codes stored per bar (cheap to compare between frames)
+const STATE_BAR = 0;
+const STATE_COMPARING = 1;
+const STATE_SWAPPING = 2;
+const STATE_SORTED = 3;
+const STATE_FILL = [COLORS.bar, COLORS.comparing, COLORS.swapping, COLORS.sorted];
+
+// Bumped by setPalette: canvases drawn with older colors repaint in full
+let paletteVersion = 0;
+
+/**
+ * Switches the bar colors used for canvases, recordings and timeline marks.
+ * (DOM bars follow the data-palette attribute in styles.css.)
+ * @param {string} id - A PALETTES id; unknown ids fall back to 'standard'.
+ */
+export function setPalette(id) {
+  const palette = PALETTES.find((entry) => entry.id === id) || PALETTES[0];
+  Object.assign(COLORS, palette.colors);
+  STATE_FILL.splice(0, STATE_FILL.length, COLORS.bar, COLORS.comparing, COLORS.swapping, COLORS.sorted);
+  paletteVersion++;
+}
+
+// One drawing state per container (main pane, race pane)
+const canvasStates = new WeakMap();
+
+/**
+ * Finds or creates the canvas inside a container and keeps it sized to it.
+ * @param {HTMLElement} container - The pane.
+ * @returns {object} - Drawing state for the container.
+ */
+function getCanvasState(container) {
+  let state = canvasStates.get(container);
+
+  // The DOM renderer may have replaced our canvas with bars
+  if (!state || state.canvas.parentNode !== container) {
+    container.innerHTML = '';
+    container.removeAttribute('role'); // No longer a list of bars
+    const canvas = document.createElement('canvas');
+    canvas.className = 'bar-canvas';
+    // Screen readers get the narration (narration.js) instead of the pixels
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', 'Bar chart of the array; the current step is described in the narration');
+    container.appendChild(canvas);
+
+    state = {
+      canvas,
+      ctx: canvas.getContext('2d'),
+      width: 0,
+      height: 0,
+      values: null,      // Values drawn last time
+      states: null,      // Color codes drawn last time (Uint8Array)
+      sortedRef: null,   // frame.sortedIndices used to build sortedMask
+      sortedMask: null,  // 1 = index is sorted
+      floor: 0,
+      range: 1,
+      frame: null,
+      waveId: null,
+      palette: paletteVersion
+    };
+    canvasStates.set(container, state);
+  }
+
+  // Match the canvas resolution to its on-screen size
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.max(1, Math.floor(container.clientWidth * ratio));
+  const height = Math.max(1, Math.floor(container.clientHeight * ratio));
+  if (width !== state.width || height !== state.height) {
+    state.canvas.width = width;
+    state.canvas.height = height;
+    state.width = width;
+    state.height = height;
+    state.values = null; // Forces a full repaint
+  }
+
+  return state;
+}
+
+/**
+ * Paints one bar column (clears the column first).
+ * @param {object} state - Drawing state.
+ * @param {number} i - Bar index.
+ * @param {number} n - Bar count.
+ * @param {number|object} element - Bar value (or labeled record, see records.js).
+ * @param {string} fill - CSS color.
+ */
+function paintBar(state, i, n, element, fill) {
+  const value = keyOf(element);
+  const { ctx, width, height, floor, range } = state;
+
+  // Column edges (integer pixels so neighbours never overlap)
+  const left = Math.floor((i * width) / n);
+  const right = Math.floor(((i + 1) * width) / n);
+  const columnWidth = Math.max(1, right - left);
+
+  // Leave a 1px gap only when bars are wide enough to afford it
+  const gap = columnWidth >= 4 ? 1 : 0;
+
+  // Same zero-line math as the DOM renderer
+  const barHeight = (Math.abs(value) / range) * height;
+  const barBottom = ((Math.min(value, 0) - floor) / range) * height;
+
+  ctx.clearRect(left, 0, columnWidth, height);
+  ctx.fillStyle = fill;
+  ctx.fillRect(left + gap, height - barBottom - barHeight, columnWidth - 2 * gap, barHeight);
+
+  // Labeled duplicates: a cap in the tag color (letters would not fit)
+  const tagColor = tagColorOf(element);
+  if (tagColor) {
+    ctx.fillStyle = tagColor;
+    ctx.fillRect(left + gap, height - barBottom - barHeight, columnWidth - 2 * gap, Math.min(4, barHeight));
+  }
+}
+
+/**
+ * Draws a frame onto the container's canvas, repainting only changed bars.
+ * @param {object} frame - The frame to draw.
+ * @param {HTMLElement} container - The pane.
+ * @param {{floor: number, range: number}} scale - From getValueRange (display.js).
+ */
+export function renderCanvasStep(frame, container, scale) {
+  const state = getCanvasState(container);
+  const values = frame.array;
+  const n = values.length;
+
+  // A running completion wave would paint over the new frame
+  if (state.waveId) {
+    cancelAnimationFrame(state.waveId);
+    state.waveId = null;
+    state.values = null;
+  }
+
+  // 1. FULL REPAINT needed? (first frame, resize, new array length, scale or colors)
+  const fullRepaint = !state.values || state.values.length !== n ||
+    state.floor !== scale.floor || state.range !== scale.range || state.palette !== paletteVersion;
+
+  if (fullRepaint) {
+    state.values = new Array(n);
+    state.states = new Uint8Array(n).fill(255); // 255 = "never drawn"
+    state.sortedRef = null;
+    state.floor = scale.floor;
+    state.range = scale.range;
+    state.palette = paletteVersion;
+    state.ctx.clearRect(0, 0, state.width, state.height);
+  }
+
+  // 2. SORTED MASK: rebuild only when the sorted list is a new snapshot
+  if (state.sortedRef !== frame.sortedIndices) {
+    state.sortedMask = new Uint8Array(n);
+    (frame.sortedIndices || []).forEach((index) => {
+      state.sortedMask[index] = 1;
+    });
+    state.sortedRef = frame.sortedIndices;
+  }
+
+  // 3. HIGHLIGHTS for this frame
+  const highlight = new Map();
+  if (Array.isArray(frame.indices)) {
+    if (frame.type === 'comparison') frame.indices.forEach((i) => highlight.set(i, STATE_COMPARING));
+    if (frame.type === 'swap') frame.indices.forEach((i) => highlight.set(i, STATE_SWAPPING));
+  }
+
+  // 4. DIFF + PAINT: sorted wins over highlights, like the CSS !important order
+  for (let i = 0; i < n; i++) {
+    let barState = state.sortedMask[i] ? STATE_SORTED : STATE_BAR;
+    if (barState === STATE_BAR && highlight.has(i)) barState = highlight.get(i);
+
+    if (state.values[i] !== values[i] || state.states[i] !== barState) {
+      paintBar(state, i, n, values[i], STATE_FILL[barState]);
+      state.values[i] = values[i];
+      state.states[i] = barState;
+    }
+  }
+
+  state.frame = frame;
+}
+
+/**
+ * Paints a whole frame from scratch onto any 2D context (used by the video /
+ * PNG export, which has no container and no previous frame to diff against).
+ * @param {CanvasRenderingContext2D} ctx - Target context.
+ * @param {object} frame - The frame to draw.
+ * @param {number} width - Drawing area in pixels.
+ * @param {number} height - Drawing area in pixels.
+ * @param {{floor: number, range: number}} scale - From getValueRange (display.js).
+ * @param {{from: number, to: number}|null} [wave=null] - Bars lit by the completion wave.
+ */
+export function paintFrame(ctx, frame, width, height, scale, wave = null) {
+  const state = { ctx, width, height, floor: scale.floor, range: scale.range };
+  const n = frame.array.length;
+  const sorted = new Set(frame.sortedIndices || []);
+
+  for (let i = 0; i < n; i++) {
+    let fill = COLORS.bar;
+    if (frame.type === 'comparison' && frame.indices.includes(i)) fill = COLORS.comparing;
+    if (frame.type === 'swap' && frame.indices.includes(i)) fill = COLORS.swapping;
+    if (sorted.has(i)) fill = COLORS.sorted; // Sorted wins, like the CSS !important order
+    if (wave && i >= wave.from && i < wave.to) fill = COLORS.finished;
+
+    paintBar(state, i, n, frame.array[i], fill);
+  }
+}
+
+/**
+ * Canvas version of the completion wave: a highlight sweeps left to right.
+ * @param {HTMLElement} container - The pane.
+ */
+export function triggerCanvasWave(container) {
+  const state = canvasStates.get(container);
+  if (!state || !state.values) return;
+
+  const n = state.values.length;
+  const duration = 1000; // ms for the sweep to cross the whole array
+  const band = Math.max(1, Math.ceil(n / 20)); // Bars lit at once
+  const startTime = performance.now();
+  let lit = [];
+
+  const restore = () => {
+    lit.forEach((i) => paintBar(state, i, n, state.values[i], STATE_FILL[state.states[i]]));
+    lit = [];
+  };
+
+  const tick = (now) => {
+    restore();
+
+    const progress = (now - startTime) / duration;
+    if (progress >= 1) {
+      state.waveId = null;
+      return;
+    }
+
+    // Light up the bars under the band
+    const head = Math.floor(progress * (n + band));
+    for (let i = Math.max(0, head - band); i < Math.min(n, head); i++) {
+      paintBar(state, i, n, state.values[i], COLORS.finished);
+      lit.push(i);
+    }
+
+    state.waveId = requestAnimationFrame(tick);
+  };
+
+  state.waveId = requestAnimationFrame(tick);
+}
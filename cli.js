@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * Command-line front end for the history generators (no browser needed).
+ * Prints a run's totals, and can write the whole history as JSON (the same
+ * file "Save Run" makes, so it opens in the page) or NDJSON (one frame per
+ * line), or draw chosen steps as ASCII bars.
+ *
+ *   node cli.js --size 10 --seed 42 --algorithm bubble-optimized --show 0,last
+ *   node cli.js --array "5, 3, 8, 1, 9" --ndjson - | jq .type
+ *   node cli.js --load bubble-20-history.json
+ */
+
+import { readFile, open } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { ALGORITHMS, DISTRIBUTIONS, generateRandomArray, randomSeed } from "./algorithms.js";
+import { COMPARATORS, SORT_DIRECTIONS, DEFAULT_ORDER, createComparator, isInOrder } from "./comparators.js";
+import { parseArrayInput, MIN_ARRAY_SIZE, MAX_ARRAY_SIZE } from "./input.js";
+import { serializeHistory, parseHistoryFile } from "./history-io.js";
+import { computeHistoryStats } from "./stats.js";
+import { describeFrame } from "./narration.js";
+import { keyOf, describeElement } from "./records.js";
+import { validateHistory } from "./history-validator.js";
+
+// Widest ASCII bar, in characters
+const ASCII_BAR_WIDTH = 40;
+
+// The summary lists the sorted values only for arrays up to this size
+const MAX_RESULT_VALUES = 30;
+
+const USAGE = `Usage: bubble-sort [options]
+
+Input (pick one):
+  --array <values>       Your own numbers, e.g. "5, 3, 8, 1, 9" or "[5,3,8,1,9]"
+  -n, --size <n>         Random array of n values (${MIN_ARRAY_SIZE}-${MAX_ARRAY_SIZE}, default 20)
+      --seed <n>         Seed for the random array (same seed = same array)
+      --dist <id>        Input shape: ${DISTRIBUTIONS.map((entry) => entry.id).join(', ')}
+  --load <file>          A saved run (Save Run / --json): validated frame by frame, then summarized
+
+Sorting:
+  -a, --algorithm <id>   ${ALGORITHMS.map((entry) => entry.id).join(', ')}
+      --comparator <id>  ${COMPARATORS.map((entry) => entry.id).join(', ')}
+      --direction <id>   ${SORT_DIRECTIONS.map((entry) => entry.id).join(', ')}
+
+Output (the summary always goes to stderr when a file is written to stdout):
+  --json <file>          Whole history in the Save Run format ("-" = stdout)
+  --ndjson <file>        One frame per line ("-" = stdout)
+  --show <steps>         ASCII bars for steps, e.g. "0,5,last" or "all"
+  -h, --help             This text
+`;
+
+/**
+ * Reads the command line.
+ * @param {string[]} args - process.argv without node and the script.
+ * @returns {{options: object|null, error: string|null}} - Parsed values, or a message for stderr.
+ */
+function readOptions(args) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args,
+      options: {
+        array: { type: 'string' },
+        size: { type: 'string', short: 'n' },
+        seed: { type: 'string' },
+        dist: { type: 'string', default: 'random' },
+        load: { type: 'string' },
+        algorithm: { type: 'string', short: 'a', default: 'bubble' },
+        comparator: { type: 'string', default: DEFAULT_ORDER.comparator },
+        direction: { type: 'string', default: DEFAULT_ORDER.direction },
+        json: { type: 'string' },
+        ndjson: { type: 'string' },
+        show: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (err) {
+    return { options: null, error: err.message };
+  }
+
+  // 1. CHECK names against the registries (getAlgorithm() would quietly fall back)
+  if (!ALGORITHMS.some((entry) => entry.id === values.algorithm)) {
+    return { options: null, error: `Unknown algorithm "${values.algorithm}".` };
+  }
+  if (!DISTRIBUTIONS.some((entry) => entry.id === values.dist)) {
+    return { options: null, error: `Unknown input shape "${values.dist}".` };
+  }
+  if (!COMPARATORS.some((entry) => entry.id === values.comparator)) {
+    return { options: null, error: `Unknown comparator "${values.comparator}".` };
+  }
+  if (!SORT_DIRECTIONS.some((entry) => entry.id === values.direction)) {
+    return { options: null, error: `Unknown direction "${values.direction}".` };
+  }
+
+  // 2. CHECK the input choice
+  if ([values.array, values.size, values.load].filter((value) => value !== undefined).length > 1) {
+    return { options: null, error: 'Use only one of --array, --size and --load.' };
+  }
+  const size = values.size === undefined ? 20 : Number(values.size);
+  if (!Number.isInteger(size) || size < MIN_ARRAY_SIZE || size > MAX_ARRAY_SIZE) {
+    return { options: null, error: `--size must be a whole number from ${MIN_ARRAY_SIZE} to ${MAX_ARRAY_SIZE}.` };
+  }
+  const seed = values.seed === undefined ? randomSeed() : Number(values.seed);
+  if (!Number.isInteger(seed) || seed < 0) {
+    return { options: null, error: '--seed must be a whole number, 0 or more.' };
+  }
+  if (values.json === '-' && values.ndjson === '-') {
+    return { options: null, error: 'Only one of --json and --ndjson can go to stdout.' };
+  }
+
+  return { options: { ...values, size, seed }, error: null };
+}
+
+/**
+ * Turns "0,5,last" / "all" into step numbers.
+ * @param {string} text - The --show value.
+ * @param {number} lastStep - Last step of the run.
+ * @returns {{steps: number[]|null, error: string|null}}
+ */
+function parseSteps(text, lastStep) {
+  if (text.trim() === 'all') return { steps: Array.from({ length: lastStep + 1 }, (_, step) => step), error: null };
+
+  const steps = [];
+  for (const item of text.split(',').map((part) => part.trim())) {
+    const step = item === 'last' ? lastStep : Number(item);
+    if (item === '' || !Number.isInteger(step) || step < 0 || step > lastStep) {
+      return { steps: null, error: `--show: "${item}" is not a step from 0 to ${lastStep} (or "last").` };
+    }
+    steps.push(step);
+  }
+  return { steps, error: null };
+}
+
+/**
+ * Draws one frame as horizontal ASCII bars, one line per position.
+ * Markers: "c" comparing, "s" swapped, "=" sorted.
+ * @param {object} frame - From history.getFrame().
+ * @param {number} step - Its step number.
+ * @param {number} lastStep - Last step of the run.
+ * @returns {string}
+ */
+function renderAsciiFrame(frame, step, lastStep) {
+  const keys = frame.array.map(keyOf);
+  const largest = Math.max(1, ...keys.map(Math.abs));
+  const sorted = new Set(frame.sortedIndices);
+  const digits = String(frame.array.length - 1).length;
+  const labels = frame.array.map(describeElement);
+  const labelWidth = Math.max(...labels.map((label) => label.length));
+
+  const lines = frame.array.map((element, i) => {
+    let marker = ' ';
+    if (frame.type === 'comparison' && frame.indices.includes(i)) marker = 'c';
+    if (frame.type === 'swap' && frame.indices.includes(i)) marker = 's';
+    if (sorted.has(i)) marker = '='; // Sorted wins, like the page's colors
+
+    // Negative values are drawn with '-' so their sign is visible
+    const length = Math.round((Math.abs(keys[i]) / largest) * ASCII_BAR_WIDTH);
+    const bar = (keys[i] < 0 ? '-' : '#').repeat(length);
+    return `${String(i).padStart(digits)} ${marker} ${labels[i].padStart(labelWidth)} |${bar}`;
+  });
+
+  return [`Step ${step} / ${lastStep} (pass ${frame.pass}): ${describeFrame(frame)}`, ...lines].join('\n');
+}
+
+/**
+ * Writes lines to a file or stdout, waiting whenever the stream is full
+ * (an NDJSON history or "--show all" can have millions of lines).
+ * @param {string|stream.Writable} target - File path, "-" for stdout, or an open stream (stderr).
+ * @param {Iterable<string>} lines - Text without the newline.
+ * @returns {Promise<void>} - Rejects with the stream's error (e.g. EPIPE when a pipe closes early).
+ */
+async function writeLines(target, lines) {
+  // Opening first turns a bad path into a plain rejected promise
+  const isFile = typeof target === 'string' && target !== '-';
+  const stream = isFile ? (await open(target, 'w')).createWriteStream() : target === '-' ? process.stdout : target;
+
+  // Without a listener a write error (a closed pipe, a full disk) crashes the process
+  let failure = null;
+  stream.on('error', (err) => { failure = err; });
+  const drained = () => new Promise((resolve, reject) => {
+    if (failure) return reject(failure);
+    const settle = (err) => {
+      stream.off('drain', settle);
+      stream.off('error', settle);
+      if (err) reject(err);
+      else resolve();
+    };
+    stream.on('drain', settle);
+    stream.on('error', settle);
+  });
+
+  for (const line of lines) {
+    if (failure) throw failure;
+    if (!stream.write(`${line}\n`)) await drained();
+  }
+  if (isFile) await new Promise((resolve, reject) => stream.end((err) => (err ? reject(err) : resolve())));
+  if (failure) throw failure;
+}
+
+// The --show steps as ASCII bars, a blank line before each (built one at a time)
+function* asciiFrames(history, steps, lastStep) {
+  for (const step of steps) {
+    yield '';
+    yield renderAsciiFrame(history.getFrame(step), step, lastStep);
+  }
+}
+
+// Every frame as one JSON line ('ids' is page-internal bookkeeping)
+function* ndjsonFrames(history) {
+  for (let step = 0; step < history.length; step++) {
+    const { ids, ...frame } = history.getFrame(step);
+    yield JSON.stringify({ step, ...frame });
+  }
+}
+
+async function main() {
+  const { options, error } = readOptions(process.argv.slice(2));
+  if (error) {
+    console.error(`${error}\n\n${USAGE}`);
+    return 1;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // 1. GET THE HISTORY: generate it, or load and check a saved one
+  let algorithmId = options.algorithm;
+  let history;
+  let source;
+  if (options.load !== undefined) {
+    let text;
+    try {
+      text = await readFile(options.load, 'utf8');
+    } catch (err) {
+      console.error(`Cannot read ${options.load}: ${err.message}`);
+      return 1;
+    }
+    const { data, error: fileError } = parseHistoryFile(text);
+    if (fileError) {
+      console.error(`${options.load}: ${fileError}`);
+      return 1;
+    }
+    ({ algorithmId, history } = data);
+    source = options.load;
+
+    // The file replays, but do its frames follow the rules? (history-validator.js)
+    const { valid, errors } = validateHistory(history);
+    if (!valid) {
+      console.error(`${options.load}: invalid history\n  ${errors.join('\n  ')}`);
+      return 1;
+    }
+  } else {
+    let array;
+    if (options.array !== undefined) {
+      const { values, error: arrayError } = parseArrayInput(options.array);
+      if (arrayError) {
+        console.error(`--array: ${arrayError}`);
+        return 1;
+      }
+      array = values;
+      source = 'your array';
+    } else {
+      array = generateRandomArray(options.size, { distribution: options.dist, seed: options.seed });
+      source = `seed ${options.seed}, ${options.dist}`;
+    }
+    const algorithm = ALGORITHMS.find((entry) => entry.id === algorithmId);
+    try {
+      history = algorithm.generateHistory(array, { order: { comparator: options.comparator, direction: options.direction } });
+    } catch (err) {
+      // e.g. more steps than a history can hold (MAX_HISTORY_STEPS in history.js)
+      console.error(err.message);
+      return 1;
+    }
+  }
+  const lastStep = history.length - 1;
+
+  // 2. SUMMARY (stderr when stdout carries a history, so pipes stay clean)
+  const { totals } = computeHistoryStats(history);
+  const name = ALGORITHMS.find((entry) => entry.id === algorithmId).name;
+  const result = history.getArray(lastStep);
+  const summary = [
+    `${name} on ${history.size} values (${source})`,
+    `Steps:       ${totals.steps}`,
+    `Comparisons: ${totals.comparisons}`,
+    `Swaps:       ${totals.swaps}`,
+    `Passes:      ${totals.passes}`,
+    `In order:    ${isInOrder(result, createComparator(history.order)) ? 'yes' : 'NO'}`,
+    ...(result.length <= MAX_RESULT_VALUES ? [`Result:      ${result.map(describeElement).join(', ')}`] : [])
+  ].join('\n');
+  const toStdout = options.json === '-' || options.ndjson === '-';
+  (toStdout ? console.error : console.log)(summary);
+
+  // 3. ASCII FRAMES
+  if (options.show !== undefined) {
+    const { steps, error: stepsError } = parseSteps(options.show, lastStep);
+    if (stepsError) {
+      console.error(stepsError);
+      return 1;
+    }
+    try {
+      await writeLines(toStdout ? process.stderr : '-', asciiFrames(history, steps, lastStep));
+    } catch (err) {
+      if (err.code === 'EPIPE') return 0; // The reader stopped early, as with --ndjson
+      console.error(`Cannot write the frames: ${err.message}`);
+      return 1;
+    }
+  }
+
+  // 4. FILES
+  for (const [target, lines] of [
+    [options.json, () => [serializeHistory(algorithmId, history)]],
+    [options.ndjson, () => ndjsonFrames(history)]
+  ]) {
+    if (target === undefined) continue;
+    try {
+      await writeLines(target, lines());
+    } catch (err) {
+      // The reader stopped early (e.g. "| head -1"): it has what it wanted
+      if (target === '-' && err.code === 'EPIPE') return 0;
+      console.error(`Cannot write ${target}: ${err.message}`);
+      return 1;
+    }
+  }
+  return 0;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,79 @@
+/**
+ * Sort orders: which element "comes first".
+ * An order is a plain object { comparator, direction } naming an entry of
+ * COMPARATORS and one of SORT_DIRECTIONS, so it can travel to the worker, into
+ * the URL and into saved files. createComparator() turns it into a function.
+ */
+
+import { keyOf } from "./records.js";
+
+// Named comparators in dropdown order; each one turns a key into what is compared
+export const COMPARATORS = [
+  { id: 'value', name: 'By value', rank: (key) => key },
+  { id: 'absolute', name: 'By absolute value', rank: (key) => Math.abs(key) },
+  { id: 'last-digit', name: 'By last digit', rank: (key) => Math.trunc(Math.abs(key)) % 10 },
+  { id: 'evens-first', name: 'Evens before odds', rank: (key) => Math.abs(Math.trunc(key)) % 2 }
+];
+
+export const SORT_DIRECTIONS = [
+  { id: 'ascending', name: 'Ascending' },
+  { id: 'descending', name: 'Descending' }
+];
+
+// Plain ascending numbers (what a missing order means)
+export const DEFAULT_ORDER = { comparator: 'value', direction: 'ascending' };
+
+/**
+ * Is this a known order? (Used to validate URL and file input.)
+ * @param {*} order - Candidate { comparator, direction }.
+ * @returns {boolean}
+ */
+export function isValidOrder(order) {
+  return order !== null && typeof order === 'object' &&
+    COMPARATORS.some((entry) => entry.id === order.comparator) &&
+    SORT_DIRECTIONS.some((entry) => entry.id === order.direction);
+}
+
+/**
+ * Builds the compare function for an order.
+ * Works on plain numbers and labeled records (compared by key, see records.js).
+ * @param {{comparator: string, direction: string}|null} [order] - null = DEFAULT_ORDER.
+ * @returns {function(*, *): number} - Positive if the first element belongs after the second, 0 for ties.
+ */
+export function createComparator(order = DEFAULT_ORDER) {
+  const { comparator, direction } = order || DEFAULT_ORDER;
+  const { rank } = COMPARATORS.find((entry) => entry.id === comparator) || COMPARATORS[0];
+  const sign = direction === 'descending' ? -1 : 1;
+
+  return (x, y) => {
+    const a = rank(keyOf(x));
+    const b = rank(keyOf(y));
+    return sign * (a > b ? 1 : a < b ? -1 : 0);
+  };
+}
+
+/**
+ * Short name for an order, for pane titles and labels.
+ * @param {{comparator: string, direction: string}|null} order
+ * @returns {string} - e.g. "by last digit, descending" ('' for DEFAULT_ORDER).
+ */
+export function describeOrder(order) {
+  if (!order || (order.comparator === DEFAULT_ORDER.comparator && order.direction === DEFAULT_ORDER.direction)) {
+    return '';
+  }
+  const comparator = COMPARATORS.find((entry) => entry.id === order.comparator) || COMPARATORS[0];
+  return `${comparator.name.toLowerCase()}, ${order.direction}`;
+}
+
+/**
+ * Does an array follow the order? (Completion check for a finished run.)
+ * @param {Array} array - e.g. the last frame's array.
+ * @param {function(*, *): number} compare - From createComparator().
+ * @returns {boolean}
+ */
+export function isInOrder(array, compare) {
+  for (let i = 1; i < array.length; i++) {
+    if (compare(array[i - 1], array[i]) > 0) return false;
+  }
+  return true;
+}
@@ -1,7 +1,23 @@
 import { triggerCompletionWave } from "./display.js";
-import { renderStep } from "./display.js";
-import { generateBubbleSortHistory, generateRandomArray, generateOptimizedBubbleSortHistory } from "./algorithms.js";
-import { audioManager } from "./audio.js";
+import { renderStep, renderStats, renderPseudocode, highlightPseudocode, setRendererMode, getBarPosition } from "./display.js";
+import { generateRandomArray, randomSeed, ALGORITHMS, DISTRIBUTIONS, getAlgorithm } from "./algorithms.js";
+import { audioManager, WAVEFORMS, SOUND_MODES } from "./audio.js";
+import { parseArrayInput, parseArrayFile, MIN_ARRAY_SIZE, MAX_ARRAY_SIZE } from "./input.js";
+import { computeHistoryStats, createInversionCounter } from "./stats.js";
+import { startHistoryJob } from "./history-client.js";
+import { serializeHistory, parseHistoryFile } from "./history-io.js";
+import { downloadFile } from "./download.js";
+import { encodeWav } from "./wav.js";
+import { recordHistory, RECORD_FORMATS } from "./recorder.js";
+import { encodeUrlState, decodeUrlState } from "./url-state.js";
+import { findStep, isSwap, isPassEnd, finalizesIndex, renderTimelineMarks } from "./timeline.js";
+import { BREAKPOINT_TYPES, createBreakpoint, describeBreakpoint, matchesBreakpoint } from "./breakpoints.js";
+import { keyOf, labelDuplicates, isLabeled, checkStability } from "./records.js";
+import { COMPARATORS, SORT_DIRECTIONS, createComparator, describeOrder, isInOrder } from "./comparators.js";
+import { getQuestions, describeQuestion, createQuizSession, answerQuestion, saveQuizScore } from "./quiz.js";
+import { describeFrame, describeProgress, createNarrator } from "./narration.js";
+import { PALETTES, setPalette } from "./canvas-renderer.js";
+import { BENCHMARK_METRICS, planBenchmark, runBenchmark, summarizeBenchmark, benchmarkToCsv, renderBenchmarkChart } from "./benchmark.js";
 /**
  * Main controller for the Bubble Sort Visualizer.
  * Coordinates the algorithm logic, display rendering, and audio playback.
@@ -17,15 +33,75 @@ let ARRAY_SIZE = 20;
 // The raw numbers (e.g., [10, 5, 8])
 let array = [];
 
-// Holds the pre-calculated sorting frames
-let sortingHistory = [];
+// User-supplied numbers (null = generate from size / shape / seed)
+let customArray = null;
+
+// Holds the pre-calculated sorting steps (a SortHistory, see history.js)
+// Frames are rebuilt on demand with sortingHistory.getFrame(step)
+let sortingHistory = null;
+
+// Running totals for sortingHistory (see stats.js)
+// Stays null until the background job has delivered every step
+let historyStats = null;
+
+// Inversion count for breakpoints while historyStats is still null (see stats.js)
+let liveInversions = null;
+
+// Race mode: a second history built from the same array, played in lockstep
+let isRacing = false;
+let raceHistory = null;
+
+// Background generation jobs (see history-client.js), null when idle
+// A job that is still running keeps adding steps to its history
+let mainJob = null;
+let raceJob = null;
 
 // Where are we in the movie? Frame 0, Frame 10, etc.
 let currentStep = 0;
 
+// Step requested by a shared URL, applied once the history is long enough
+// (null = nothing pending; the URL is left alone until it has been applied)
+let restoringStep = null;
+
+// Hash waiting to be written (URL updates are batched: browsers limit them)
+let pendingUrlHash = null;
+let urlTimeoutId = null;
+
+// Is a WAV export rendering right now? (one at a time)
+let isRenderingAudio = false;
+
+// Video / PNG export in progress: its AbortController (null = not recording)
+let recordingAbort = null;
+
 // Are we currently running the animation loop?
 let isPlaying = false;
 
+// 1 = playing forward, -1 = rewinding
+let playDirection = 1;
+
+// "Run until" target: the loop pauses on the first step that passes this test
+let runUntilTest = null;
+
+// Conditional breakpoints (see breakpoints.js) and the one that last paused us (-1 = none)
+let breakpoints = [];
+let hitBreakpoint = -1;
+
+// Benchmark (benchmark.js): its AbortController while running, then every run's counts
+let benchmarkAbort = null;
+let benchmarkRows = null;
+
+// Quiz mode (quiz.js): the session, and the questions still open at quizStep
+let quiz = null;
+let quizQuestions = [];
+let quizStep = -1;
+
+// Narration (narration.js): the step last described, and whether in full
+// (playback faster than NARRATE_EVERY_STEP_MS per step only gets summaries)
+const NARRATE_EVERY_STEP_MS = 400;
+let narratedHistory = null;
+let narratedStep = -1;
+let narratedFull = false;
+
 // The ID of the timer (setTimeout) so we can cancel it (Stop)
 let timeoutId = null;
 
@@ -37,63 +113,948 @@ let timeoutId = null;
 // We grabbing HTML elements by ID so we can talk to them
 const generateBtn = document.getElementById('generate-array-btn'); // "New Array"
 const arraySizeInput = document.getElementById('array-size');      // Input Box
+const sizeError = document.getElementById('size-error');           // Run too long to keep
 const speedSlider = document.getElementById('speed-slider');       // Slider
+const rendererSelect = document.getElementById('renderer-select'); // Auto / Bars / Canvas
+const paletteSelect = document.getElementById('palette-select');   // Standard / Colorblind-safe
+const distributionSelect = document.getElementById('distribution-select'); // Input shape
+const swapCountInput = document.getElementById('swap-count');      // k for "Nearly Sorted"
+const seedInput = document.getElementById('seed-input');           // Seed box
+const labelCheckbox = document.getElementById('label-checkbox');   // Tag equal values A, B...
+const customInput = document.getElementById('custom-input');       // Typed / pasted values
+const customApplyBtn = document.getElementById('custom-apply-btn'); // "Use"
+const customFileInput = document.getElementById('custom-file');    // .csv / .json upload
+const customError = document.getElementById('custom-input-error'); // Inline error text
 
 const stepBackBtn = document.getElementById('step-back-btn');      // << Prev
 const playPauseBtn = document.getElementById('play-pause-btn');    // > Play
+const rewindBtn = document.getElementById('rewind-btn');           // << Rewind
+const REWIND_LABEL = rewindBtn.textContent;                        // Restored on pause
 const stepFwdBtn = document.getElementById('step-fwd-btn');        // >> Next
 const resetBtn = document.getElementById('reset-btn');             // Reset
-const optimizedCheckbox = document.getElementById('optimized-checkbox'); // Optimized toggle
+const algorithmSelect = document.getElementById('algorithm-select'); // Algorithm dropdown
+const comparatorSelect = document.getElementById('comparator-select'); // By value / last digit...
+const directionSelect = document.getElementById('direction-select');   // Ascending / Descending
 const stepCounter = document.getElementById('step-counter'); // Steps: 0 / 100
+const timelineSlider = document.getElementById('timeline-slider'); // Scrubber
+const timelineMarks = document.getElementById('timeline-marks');   // Swap / finalize / pass marks
+
+// "Run until" elements
+const runSwapBtn = document.getElementById('run-swap-btn');          // Next Swap
+const runPassBtn = document.getElementById('run-pass-btn');          // End of Pass
+const runFinalizedBtn = document.getElementById('run-finalized-btn'); // Bar Finalized
+const runIndexInput = document.getElementById('run-index');          // Which bar
+const runError = document.getElementById('run-error');               // Inline error text
+
+// Sound settings elements
+const muteCheckbox = document.getElementById('mute-checkbox');          // Mute
+const masterVolumeSlider = document.getElementById('master-volume');    // Volume
+const waveformSelect = document.getElementById('waveform-select');      // Square / Sine...
+const soundModeSelect = document.getElementById('sound-mode-select');   // Classic / value pitch
+const eventVolumeSliders = {                                            // Per-event volume
+  compare: document.getElementById('compare-volume'),
+  swap: document.getElementById('swap-volume'),
+  sorted: document.getElementById('sorted-volume')
+};
+const exportAudioBtn = document.getElementById('export-audio-btn');     // "Export WAV"
+const audioExportError = document.getElementById('audio-export-error'); // Inline error text
+
+// Recording elements
+const recordFormatSelect = document.getElementById('record-format');  // WebM / PNG zip
+const recordEveryInput = document.getElementById('record-every');     // Every Nth step
+const recordOverlayCheckbox = document.getElementById('record-overlay'); // Step counter + legend
+const recordBtn = document.getElementById('record-btn');              // "Record" / "Cancel"
+const recordError = document.getElementById('record-error');          // Inline error text
+
+// Breakpoint elements
+const breakpointTypeSelect = document.getElementById('breakpoint-type'); // Condition dropdown
+const breakpointAInput = document.getElementById('breakpoint-a');       // First number
+const breakpointBInput = document.getElementById('breakpoint-b');       // Second number
+const breakpointAddBtn = document.getElementById('breakpoint-add-btn'); // "Add Breakpoint"
+const breakpointError = document.getElementById('breakpoint-error');    // Inline error text
+const breakpointList = document.getElementById('breakpoint-list');      // Current breakpoints
+
+// Quiz elements
+const quizBtn = document.getElementById('quiz-btn');                     // "Start Quiz" / "End Quiz"
+const quizScore = document.getElementById('quiz-score');                 // Score and streak
+const quizQuestionBox = document.getElementById('quiz-question-box');    // Question + answer controls
+const quizQuestion = document.getElementById('quiz-question');           // Question text
+const quizSwapBtn = document.getElementById('quiz-swap-btn');            // "Swap"
+const quizNoSwapBtn = document.getElementById('quiz-no-swap-btn');       // "No Swap"
+const quizIndexInput = document.getElementById('quiz-index');            // Predicted position
+const quizIndexBtn = document.getElementById('quiz-index-btn');          // "Answer"
+const quizError = document.getElementById('quiz-error');                 // Inline error text
+const quizFeedback = document.getElementById('quiz-feedback');           // Right / wrong
+const quizMistakes = document.getElementById('quiz-mistakes');           // Links back to mistakes
+const quizSummary = document.getElementById('quiz-summary');             // End-of-session screen
+const quizSummaryText = document.getElementById('quiz-summary-text');
+const quizScoresBody = document.getElementById('quiz-scores');           // Recent sessions table
+const quizCloseBtn = document.getElementById('quiz-close-btn');
+
+// Save / load elements
+const exportHistoryBtn = document.getElementById('export-history-btn'); // "Save Run"
+const historyFileInput = document.getElementById('history-file');       // Load a saved run
+const historyError = document.getElementById('history-error');          // Inline error text
+
+// Race mode elements
+const raceCheckbox = document.getElementById('race-checkbox');           // Race toggle
+const raceAlgorithmSelect = document.getElementById('race-algorithm-select'); // Second algorithm
+const visualizationArea = document.getElementById('visualization-area'); // Holds the panes
+const mainContainer = document.getElementById('visualization-container');
+const mainPaneTitle = document.getElementById('main-pane-title');
+const mainPaneCounter = document.getElementById('main-pane-counter');
+const raceContainer = document.getElementById('race-container');
+const racePaneTitle = document.getElementById('race-pane-title');
+const racePaneCounter = document.getElementById('race-pane-counter');
+const narrationRegion = document.getElementById('narration');    // aria-live step description
+
+// Benchmark panel
+const benchFromInput = document.getElementById('bench-from');           // Smallest size
+const benchToInput = document.getElementById('bench-to');               // Largest size
+const benchStepInput = document.getElementById('bench-step');           // Size increment
+const benchRunsInput = document.getElementById('bench-runs');           // Seeds per size
+const benchDistributions = document.getElementById('bench-distributions'); // Shape checkboxes
+const benchRunBtn = document.getElementById('bench-run-btn');           // "Run Benchmark" / "Cancel"
+const benchError = document.getElementById('bench-error');              // Inline error text
+const benchMetricSelect = document.getElementById('bench-metric');      // Comparisons / swaps / frames
+const benchChartDistribution = document.getElementById('bench-chart-distribution'); // Shape to plot
+const benchCsvBtn = document.getElementById('bench-csv-btn');           // "Export CSV"
+const benchChart = document.getElementById('bench-chart');              // The plot
+
+// Speaks through the live region (summaries are rate-limited)
+const narrator = createNarrator(narrationRegion);
+
+/**
+ * Fills a dropdown with { id, name } entries (algorithms, distributions).
+ * @param {HTMLSelectElement} select - The dropdown to fill.
+ * @param {{id: string, name: string}[]} entries - Options in display order.
+ */
+function populateSelect(select, entries) {
+  entries.forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = entry.id;
+    option.textContent = entry.name;
+    select.appendChild(option);
+  });
+}
+
+// The sort order picked in the controls ({ comparator, direction }, see comparators.js)
+function getOrder() {
+  return { comparator: comparatorSelect.value, direction: directionSelect.value };
+}
+
+/**
+ * Pane heading: the algorithm, plus the order when it is not plain ascending.
+ * @param {string} name - Algorithm name.
+ * @param {object|null} order - The history's order.
+ * @returns {string} - e.g. "Bubble Sort (by last digit, descending)".
+ */
+function paneTitle(name, order) {
+  const description = describeOrder(order);
+  return description ? `${name} (${description})` : name;
+}
 
 /**
  * Resets the state and prepares a new sorting simulation.
  */
 function init() {
-
+  // Custom mode: use the user's numbers as-is
+  if (customArray) {
+    pause();
+    ARRAY_SIZE = customArray.length;
+    arraySizeInput.value = ARRAY_SIZE;
+    array = labelCheckbox.checked ? labelDuplicates(customArray) : [...customArray];
+    calculateHistory();
+    return;
+  }
 
   // Get and clamp size input
   let size = parseInt(arraySizeInput.value, 10);
-  if (size > 100) size = 100;
-  if (size < 5) size = 5;
+  if (Number.isNaN(size)) size = ARRAY_SIZE;
+  if (size > MAX_ARRAY_SIZE) size = MAX_ARRAY_SIZE;
+  if (size < MIN_ARRAY_SIZE) size = MIN_ARRAY_SIZE;
 
   // Sync state
   ARRAY_SIZE = size;
   arraySizeInput.value = size;
 
+  // Read the seed (roll a new one if the box is empty or invalid)
+  let seed = parseInt(seedInput.value, 10);
+  if (Number.isNaN(seed) || seed < 0) seed = randomSeed();
+  seedInput.value = seed;
+
+  // "k" only matters for the Nearly Sorted shape
+  const distribution = distributionSelect.value;
+  swapCountInput.disabled = distribution !== 'nearly-sorted';
+  let swaps = parseInt(swapCountInput.value, 10);
+  if (Number.isNaN(swaps) || swaps < 0) swaps = undefined;
+
   pause();
 
   // Generate new numbers and calculate the sorting path
-  array = generateRandomArray(ARRAY_SIZE);
+  array = generateRandomArray(ARRAY_SIZE, { distribution, seed, swaps });
+
+  // Stability demo: equal values become records tagged A, B, C... (records.js)
+  if (labelCheckbox.checked) array = labelDuplicates(array);
   calculateHistory();
 }
 
+/**
+ * Rolls a fresh seed, then rebuilds the array with it.
+ */
+function newArray() {
+  seedInput.value = randomSeed();
+  leaveCustomMode();
+}
+
+/**
+ * Switches back to generated arrays (size / shape / seed changed).
+ */
+function leaveCustomMode() {
+  customArray = null;
+  customError.textContent = '';
+  init();
+}
+
+/**
+ * Validates a parse result and, if it is good, switches to custom mode.
+ * @param {{values: number[]|null, error: string|null}} result - From input.js.
+ */
+function applyCustomResult(result) {
+  // Show the problem next to the input instead of touching the current run
+  if (result.error) {
+    customError.textContent = result.error;
+    return;
+  }
+
+  customError.textContent = '';
+  customArray = result.values;
+  init();
+}
+
+// "Use" button: parse the textarea
+function applyCustomText() {
+  applyCustomResult(parseArrayInput(customInput.value));
+}
+
+// File picker: parse the uploaded file and mirror it into the textarea
+async function applyCustomFile() {
+  const file = customFileInput.files[0];
+  if (!file) return;
+
+  const result = await parseArrayFile(file);
+  if (result.values) customInput.value = result.values.join(', ');
+  applyCustomResult(result);
+
+  // Allow picking the same file again
+  customFileInput.value = '';
+}
+
 
 /**
  * Generates the full history of sorting steps based on the selected algorithm.
+ * The work happens in a background worker, so playback can start on the
+ * first batch of steps while the rest is still being calculated.
  */
 function calculateHistory() {
-  // 1. SAFETY: Stop running
-  pause();
+  // CHECK: Which algorithm is selected?
+  const algorithm = getAlgorithm(algorithmSelect.value);
 
-  // 2. CHECK: Should we use the optimized version?
-  const useOptimized = optimizedCheckbox.checked;
+  // CANCEL: Results for an old array / algorithm are no longer wanted
+  cancelJobs();
+  sizeError.textContent = '';
 
   // Generate the steps without mutating the original array yet
-  if (useOptimized) {
-    sortingHistory = generateOptimizedBubbleSortHistory([...array]);
+  mainJob = startHistoryJob(algorithm.id, array, {
+    order: getOrder(),
+    onProgress: onJobUpdate,
+    onDone: (history) => {
+      sortingHistory = history;
+      historyStats = computeHistoryStats(history);
+      updateTimelineMarks();
+      onJobUpdate();
+    },
+    onError: (history, message) => {
+      sortingHistory = history;
+      historyStats = computeHistoryStats(history);
+      onJobError(message);
+    }
+  });
+
+  showHistory(algorithm, mainJob.history);
+  if (mainJob.error) sizeError.textContent = mainJob.error;
+}
+
+// A run was too long to keep: its pane is back to frame 0, and the size box says why
+function onJobError(message) {
+  pause();
+  sizeError.textContent = message;
+  currentStep = Math.min(currentStep, getLastStep());
+  updateTimelineMarks();
+  renderPanes();
+  onJobUpdate();
+}
+
+// Stops any background generation that is still running
+function cancelJobs() {
+  if (mainJob) mainJob.cancel();
+  if (raceJob) raceJob.cancel();
+  mainJob = null;
+  raceJob = null;
+}
+
+// More steps arrived: a pending shared step may now exist
+function onJobUpdate() {
+  applyRestoredStep();
+  updateControls();
+}
+
+// Is a pane's history still growing?
+function isCalculating(job) {
+  return job !== null && !job.finished;
+}
+
+/**
+ * Installs a history (freshly generated or loaded from a file) and shows frame 0.
+ * The history may still be filling up if calculateHistory() started a job.
+ * @param {object} algorithm - Registry entry that produced the history.
+ * @param {SortHistory} history - The steps.
+ */
+function showHistory(algorithm, history) {
+  // 1. SAFETY: Stop running (a quiz ends with its run; its mistakes point into it)
+  pause();
+  if (quiz) finishQuiz();
+  quizMistakes.innerHTML = '';
+
+  // 2. STORE: The steps and their statistics (once complete)
+  sortingHistory = history;
+  historyStats = isCalculating(mainJob) ? null : computeHistoryStats(sortingHistory);
+  liveInversions = historyStats ? null : createInversionCounter(sortingHistory);
+  mainPaneTitle.textContent = paneTitle(algorithm.name, history.order);
+  renderPseudocode(algorithm.pseudocode);
+  updateTimelineMarks();
+  audioManager.setValueRange(sortingHistory.input);
+
+  // 3. RACE: Second history from the SAME starting array
+  isRacing = raceCheckbox.checked;
+  visualizationArea.classList.toggle('racing', isRacing);
+  raceAlgorithmSelect.disabled = !isRacing;
+
+  if (raceJob) raceJob.cancel();
+  raceJob = null;
+
+  if (isRacing) {
+    const raceAlgorithm = getAlgorithm(raceAlgorithmSelect.value);
+    raceJob = startHistoryJob(raceAlgorithm.id, array, {
+      order: history.order,
+      onProgress: onJobUpdate,
+      onDone: (history) => {
+        raceHistory = history;
+        onJobUpdate();
+      },
+      onError: (history, message) => {
+        raceHistory = history;
+        onJobError(message);
+      }
+    });
+    raceHistory = raceJob.history;
+    if (raceJob.error) sizeError.textContent = raceJob.error;
+    racePaneTitle.textContent = paneTitle(raceAlgorithm.name, history.order);
   } else {
-    sortingHistory = generateBubbleSortHistory([...array]);
+    raceHistory = null;
   }
 
   // 4. RESET: Rewind to start
   currentStep = 0;
+
+  // 5. SHARE: A new run is a new entry in the browser history
+  // (the first run on page load, or one rebuilt from the URL, replaces it instead)
+  saveUrlState(location.hash && restoringStep === null ? 'push' : 'replace');
   updateControls();
 
-  // 5. DRAW: Show Frame 0
+  // 6. DRAW: Show Frame 0 (or the step the URL asked for)
   if (sortingHistory.length > 0) {
-    renderStep(sortingHistory[0]);
+    renderPanes();
+  }
+  applyRestoredStep();
+}
+
+/**
+ *  -------------------------------------------------------------------------
+ *   Shareable URL (see url-state.js)
+ *  -------------------------------------------------------------------------
+ */
+
+/**
+ * Writes the current state into the URL hash.
+ * @param {'push'|'replace'} mode - 'push' adds a back/forward entry, 'replace' updates this one.
+ */
+function saveUrlState(mode) {
+  // Still waiting to reach a shared step: keep the link as it was given
+  if (restoringStep !== null) return;
+
+  const hash = encodeUrlState({
+    size: ARRAY_SIZE,
+    distribution: distributionSelect.value,
+    swaps: parseInt(swapCountInput.value, 10) || 0,
+    seed: parseInt(seedInput.value, 10),
+    values: customArray,
+    algorithm: algorithmSelect.value,
+    race: isRacing ? raceAlgorithmSelect.value : null,
+    order: getOrder(),
+    speed: parseInt(speedSlider.value, 10),
+    step: currentStep,
+    breakpoints,
+    labels: labelCheckbox.checked
+  });
+
+  if (mode === 'push') {
+    // Finish the old entry first, so Back returns to where the user left it
+    flushUrlState();
+    if (hash !== location.hash) history.pushState(null, '', hash);
+    return;
+  }
+
+  // Replacements are batched (dragging the timeline fires dozens per second)
+  pendingUrlHash = hash;
+  if (!urlTimeoutId) urlTimeoutId = setTimeout(flushUrlState, 250);
+}
+
+// Writes a batched replacement right away
+function flushUrlState() {
+  clearTimeout(urlTimeoutId);
+  urlTimeoutId = null;
+  if (pendingUrlHash !== null && pendingUrlHash !== location.hash) {
+    history.replaceState(null, '', pendingUrlHash);
+  }
+  pendingUrlHash = null;
+}
+
+/**
+ * Rebuilds the run described by the URL hash (page load, back / forward).
+ * @returns {boolean} - false if the URL has no state (nothing was restored).
+ */
+function loadUrlState() {
+  // A batched write belongs to the state we are leaving
+  clearTimeout(urlTimeoutId);
+  urlTimeoutId = null;
+  pendingUrlHash = null;
+
+  const state = decodeUrlState(location.hash);
+  if (!state) return false;
+
+  // 1. CONTROLS: Put every value where the user would have typed it
+  arraySizeInput.value = state.size;
+  distributionSelect.value = state.distribution;
+  swapCountInput.value = state.swaps;
+  seedInput.value = state.seed ?? '';
+  labelCheckbox.checked = state.labels;
+  algorithmSelect.value = state.algorithm;
+  raceCheckbox.checked = state.race !== null;
+  if (state.race) raceAlgorithmSelect.value = state.race;
+  comparatorSelect.value = state.order.comparator;
+  directionSelect.value = state.order.direction;
+  speedSlider.value = state.speed;
+  breakpoints = state.breakpoints;
+  hitBreakpoint = -1;
+  renderBreakpoints();
+
+  customArray = state.values;
+  customInput.value = state.values ? state.values.join(', ') : '';
+  customError.textContent = '';
+
+  // 2. RUN: init() clamps the size / seed and calculates the history;
+  // the step is applied as soon as enough of it exists
+  restoringStep = state.step;
+  init();
+  return true;
+}
+
+// Jumps to the step a shared URL asked for, once it is available
+function applyRestoredStep() {
+  if (restoringStep === null) return;
+
+  // Wait for more steps unless the history is already complete
+  const lastStep = getLastStep();
+  if (restoringStep > lastStep && !isComplete()) return;
+
+  currentStep = Math.min(restoringStep, lastStep);
+  restoringStep = null;
+  renderPanes();
+  updateControls();
+}
+
+/**
+ *  -------------------------------------------------------------------------
+ *   Breakpoints (see breakpoints.js)
+ *  -------------------------------------------------------------------------
+ */
+
+// "Add Breakpoint": validate the numbers, then add it to the list
+function addBreakpoint() {
+  const { breakpoint, error } = createBreakpoint(
+    breakpointTypeSelect.value, breakpointAInput.value, breakpointBInput.value
+  );
+
+  // Show the problem next to the inputs
+  if (error) {
+    breakpointError.textContent = error;
+    return;
+  }
+
+  breakpointError.textContent = '';
+  breakpoints = [...breakpoints, breakpoint];
+  renderBreakpoints();
+  saveUrlState('replace');
+}
+
+function removeBreakpoint(index) {
+  breakpoints = breakpoints.filter((_, i) => i !== index);
+  hitBreakpoint = -1;
+  renderBreakpoints();
+  saveUrlState('replace');
+}
+
+// Redraws the list (the breakpoint that paused playback is highlighted)
+function renderBreakpoints() {
+  breakpointList.innerHTML = '';
+
+  breakpoints.forEach((breakpoint, index) => {
+    const item = document.createElement('li');
+    item.textContent = describeBreakpoint(breakpoint);
+    item.classList.toggle('breakpoint-hit', index === hitBreakpoint);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove breakpoint';
+    removeBtn.addEventListener('click', () => removeBreakpoint(index));
+
+    item.appendChild(removeBtn);
+    breakpointList.appendChild(item);
+  });
+}
+
+// Only show the number boxes the chosen condition needs
+function updateBreakpointInputs() {
+  const kind = BREAKPOINT_TYPES.find((entry) => entry.id === breakpointTypeSelect.value);
+  breakpointAInput.disabled = kind.params < 1;
+  breakpointBInput.disabled = kind.params < 2;
+}
+
+/**
+ * Checks every breakpoint against the current step of the main pane.
+ * @returns {number} - Index of the first match, or -1.
+ */
+function findBreakpointHit() {
+  if (breakpoints.length === 0 || currentStep >= sortingHistory.length) return -1;
+
+  const frame = getPaneFrame(sortingHistory, currentStep);
+  const context = { history: sortingHistory, step: currentStep, stats: historyStats, inversions: liveInversions };
+  return breakpoints.findIndex((breakpoint) => matchesBreakpoint(breakpoint, frame, context));
+}
+
+/**
+ *  -------------------------------------------------------------------------
+ *   Quiz (see quiz.js)
+ *  -------------------------------------------------------------------------
+ */
+
+// "Start Quiz" / "End Quiz"
+function toggleQuiz() {
+  if (quiz) {
+    finishQuiz();
+    return;
+  }
+
+  // 1. RESET: A fresh session and an empty panel
+  const algorithm = getAlgorithm(algorithmSelect.value);
+  quiz = createQuizSession(paneTitle(algorithm.name, sortingHistory.order), sortingHistory.size);
+  quizQuestions = [];
+  quizStep = -1;
+  quizFeedback.textContent = '';
+  quizMistakes.innerHTML = '';
+  quizSummary.hidden = true;
+  quizBtn.textContent = 'End Quiz';
+  renderQuizScore();
+
+  // 2. GO: Playback pauses by itself at every question
+  restoringStep = null;
+  play(1);
+}
+
+/**
+ * Called by the loop before it moves past the frame on screen.
+ * @returns {boolean} - true if playback paused for a question.
+ */
+function askQuizQuestions() {
+  if (!quiz) return false;
+
+  // First visit to this step: work out what to ask
+  if (quizStep !== currentStep) {
+    quizStep = currentStep;
+    quizQuestions = getQuestions(sortingHistory, currentStep);
+  }
+  if (quizQuestions.length === 0) return false;
+
+  pause();
+  showQuizQuestion();
+  return true;
+}
+
+// Shows the first open question with the matching answer controls
+function showQuizQuestion() {
+  const question = quizQuestions[0];
+  const isSwapQuestion = question.kind === 'swap';
+
+  quizQuestion.textContent = describeQuestion(question);
+  quizSwapBtn.hidden = !isSwapQuestion;
+  quizNoSwapBtn.hidden = !isSwapQuestion;
+  quizIndexInput.hidden = isSwapQuestion;
+  quizIndexBtn.hidden = isSwapQuestion;
+  quizIndexInput.max = sortingHistory.size - 1;
+  quizError.textContent = '';
+  quizQuestionBox.hidden = false;
+}
+
+/**
+ * Scores an answer, then asks the next question or reveals the next frame.
+ * @param {boolean|number} choice - Swap / no swap, or a position.
+ */
+function submitQuizAnswer(choice) {
+  if (quizQuestions.length === 0) return; // Nothing is being asked
+  const question = quizQuestions.shift();
+  const { correct, message } = answerQuestion(quiz, question, choice);
+
+  quizFeedback.textContent = message;
+  quizFeedback.className = correct ? 'correct' : 'wrong';
+  renderQuizScore();
+  renderQuizMistakes();
+
+  if (quizQuestions.length > 0) {
+    showQuizQuestion();
+    return;
+  }
+
+  // REVEAL: Play on, starting with the real next frame
+  quizQuestionBox.hidden = true;
+  play(1);
+}
+
+// "Answer" for position questions: checks the number first
+function submitQuizIndex() {
+  const index = parseInt(quizIndexInput.value, 10);
+  if (Number.isNaN(index) || index < 0 || index >= sortingHistory.size) {
+    quizError.textContent = `Pick a position from 0 to ${sortingHistory.size - 1}.`;
+    return;
+  }
+  submitQuizAnswer(index);
+}
+
+// Clicking a bar picks its position (DOM bars only; the canvas has no elements)
+function pickQuizBar(event) {
+  const bar = event.target.closest('.bar');
+  if (!bar || quizQuestionBox.hidden || quizIndexInput.hidden) return;
+  quizIndexInput.value = getBarPosition(bar);
+}
+
+// Leaving the question's frame by hand (scrubbing, stepping) drops the question;
+// it is asked again if playback comes back to that frame
+function dropQuizQuestionIfMoved() {
+  if (quizQuestions.length > 0 && currentStep !== quizStep) {
+    quizQuestions = [];
+    quizStep = -1;
+    quizQuestionBox.hidden = true;
+  }
+}
+
+function renderQuizScore() {
+  quizScore.textContent = `Score: ${quiz.correct} / ${quiz.asked} · Streak: ${quiz.streak} (best ${quiz.bestStreak})`;
+}
+
+// Every mistake is a link back to the frame it was made on
+function renderQuizMistakes() {
+  quizMistakes.innerHTML = '';
+
+  quiz.mistakes.forEach((mistake) => {
+    const item = document.createElement('li');
+    const link = document.createElement('button');
+    link.textContent = mistake.text;
+    link.title = 'Go to this frame';
+    link.addEventListener('click', () => jumpTo(mistake.step));
+    item.appendChild(link);
+    quizMistakes.appendChild(item);
+  });
+}
+
+// Ends the session: saves the score and shows the summary
+function finishQuiz() {
+  const session = quiz;
+  quiz = null;
+  quizQuestions = [];
+  quizStep = -1;
+  quizQuestionBox.hidden = true;
+  quizBtn.textContent = 'Start Quiz';
+  if (!session || session.asked === 0) return;
+
+  // 1. SAVE: Recent sessions stay in localStorage
+  const scores = saveQuizScore(session);
+
+  // 2. SUMMARY: This session, then the recent ones
+  const percent = Math.round((session.correct / session.asked) * 100);
+  quizSummaryText.textContent = `${session.correct} of ${session.asked} correct (${percent}%) · ` +
+    `best streak ${session.bestStreak} · ${session.mistakes.length} mistake(s)`;
+
+  quizScoresBody.innerHTML = '';
+  scores.forEach((score) => {
+    const row = document.createElement('tr');
+    [new Date(score.date).toLocaleString(), score.algorithm, score.size, `${score.correct} / ${score.asked}`, score.bestStreak]
+      .forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+    quizScoresBody.appendChild(row);
+  });
+  quizSummary.hidden = false;
+}
+
+/**
+ *  -------------------------------------------------------------------------
+ *   Save / Load
+ *  -------------------------------------------------------------------------
+ */
+
+// "Save Run": download the input, algorithm and every frame as JSON
+function exportHistory() {
+  const algorithm = getAlgorithm(algorithmSelect.value);
+  const json = serializeHistory(algorithm.id, sortingHistory);
+  downloadFile(`${algorithm.id}-${array.length}-history.json`, json, 'application/json');
+}
+
+// "Load Run": validate a saved file, then show its exact frames
+async function importHistory() {
+  const file = historyFileInput.files[0];
+  if (!file) return;
+
+  let text;
+  try {
+    text = await file.text();
+  } catch (err) {
+    text = null;
+  }
+
+  // Allow picking the same file again
+  historyFileInput.value = '';
+
+  if (text === null) {
+    historyError.textContent = `"${file.name}" could not be read.`;
+    return;
+  }
+  const { data, error } = parseHistoryFile(text);
+
+  // A bad file never reaches renderStep
+  if (error) {
+    historyError.textContent = error;
+    return;
+  }
+  historyError.textContent = '';
+
+  // The saved input becomes the custom array, so Reset / Race reuse it
+  // (labeled records keep their saved tags until the next init())
+  customArray = data.input.map(keyOf);
+  customInput.value = customArray.join(', ');
+  labelCheckbox.checked = isLabeled(data.input);
+  array = [...data.input];
+  ARRAY_SIZE = array.length;
+  arraySizeInput.value = ARRAY_SIZE;
+  algorithmSelect.value = data.algorithmId;
+  if (data.history.order) {
+    comparatorSelect.value = data.history.order.comparator;
+    directionSelect.value = data.history.order.direction;
+  }
+
+  // The file already holds every step, so nothing is left to calculate
+  cancelJobs();
+  showHistory(getAlgorithm(data.algorithmId), data.history);
+}
+
+/**
+ *  -------------------------------------------------------------------------
+ *   Benchmark (see benchmark.js)
+ *  -------------------------------------------------------------------------
+ */
+
+// One checkbox per input shape (Random ticked to start with)
+function populateBenchmarkShapes() {
+  DISTRIBUTIONS.forEach((entry) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = entry.id;
+    checkbox.checked = entry.id === 'random';
+    label.append(checkbox, ` ${entry.name}`);
+    benchDistributions.appendChild(label);
+  });
+}
+
+// "Run Benchmark": both bubble sort variants over the chosen sizes (click again to cancel)
+async function startBenchmark() {
+  if (benchmarkAbort) {
+    benchmarkAbort.abort();
+    return;
+  }
+
+  // 1. CHECK the settings
+  const { plan, error } = planBenchmark({
+    from: benchFromInput.value,
+    to: benchToInput.value,
+    step: benchStepInput.value,
+    runs: benchRunsInput.value,
+    distributions: [...benchDistributions.querySelectorAll('input:checked')].map((checkbox) => checkbox.value)
+  });
+  if (error) {
+    benchError.textContent = error;
+    return;
+  }
+  benchError.textContent = '';
+
+  // 2. RUN: the button turns into Cancel and shows progress
+  benchmarkAbort = new AbortController();
+  const result = await runBenchmark(plan, {
+    seed: randomSeed(),
+    onProgress: (fraction) => { benchRunBtn.textContent = `Cancel (${Math.floor(fraction * 100)}%)`; },
+    signal: benchmarkAbort.signal
+  });
+  benchmarkAbort = null;
+  benchRunBtn.textContent = 'Run Benchmark';
+
+  if (result.error) {
+    benchError.textContent = result.error;
+    return;
+  }
+
+  // 3. SHOW: the chart offers the shapes that were run
+  benchmarkRows = result.rows;
+  benchChartDistribution.innerHTML = '';
+  populateSelect(benchChartDistribution, DISTRIBUTIONS.filter((entry) => plan.distributions.includes(entry.id)));
+  benchCsvBtn.disabled = false;
+  renderBenchmark();
+}
+
+// Redraws the chart for the chosen metric and shape
+function renderBenchmark() {
+  if (!benchmarkRows) return;
+  renderBenchmarkChart(benchChart, summarizeBenchmark(benchmarkRows), {
+    metric: benchMetricSelect.value,
+    distribution: benchChartDistribution.value
+  });
+}
+
+// "Export CSV": every run, one line per history
+function exportBenchmarkCsv() {
+  downloadFile('bubble-sort-benchmark.csv', benchmarkToCsv(benchmarkRows), 'text/csv');
+}
+
+/**
+ *  -------------------------------------------------------------------------
+ *   Panes (Race Mode)
+ *  -------------------------------------------------------------------------
+ */
+
+// The last step index of the whole run (the longer history in race mode)
+// While a pane is still calculating, only the steps it has delivered count.
+function getLastStep() {
+  const panes = [{ history: sortingHistory, job: mainJob }];
+  if (isRacing) panes.push({ history: raceHistory, job: raceJob });
+
+  const growing = panes.filter(({ job }) => isCalculating(job));
+  if (growing.length > 0) {
+    return Math.min(...growing.map(({ history }) => history.length)) - 1;
   }
+  return Math.max(...panes.map(({ history }) => history.length)) - 1;
+}
+
+// Has every pane received all of its steps?
+function isComplete() {
+  return !isCalculating(mainJob) && !(isRacing && isCalculating(raceJob));
+}
+
+// A pane that already finished keeps showing its final frame
+function getPaneFrame(history, step) {
+  return history.getFrame(Math.min(step, history.length - 1));
+}
+
+/**
+ * Draws every visible pane at the current step.
+ * @param {number} [slideMs=0] - Swap slide length (0 = jump straight there, e.g. scrubbing).
+ */
+function renderPanes(slideMs = 0) {
+  const frame = getPaneFrame(sortingHistory, currentStep);
+  renderStep(frame, mainContainer, { slideMs });
+  highlightPseudocode(frame);
+  if (isRacing) {
+    renderStep(getPaneFrame(raceHistory, currentStep), raceContainer, { slideMs });
+  }
+}
+
+/**
+ *  -------------------------------------------------------------------------
+ *   Timeline & Keyboard
+ *  -------------------------------------------------------------------------
+ */
+
+// Marks need the whole history, so they appear once calculation is done
+function updateTimelineMarks() {
+  renderTimelineMarks(timelineMarks, isCalculating(mainJob) ? null : sortingHistory);
+}
+
+// Moves straight to a step (timeline drag, keyboard jumps)
+function jumpTo(step) {
+  pause(); // Manual control stops auto-play
+  restoringStep = null;
+  currentStep = Math.max(0, Math.min(step, getLastStep()));
+  renderPanes();
+  updateControls();
+}
+
+/**
+ * Jumps to the nearest step (in the main pane) that passes a test.
+ * Stays put if there is none in that direction.
+ * @param {1|-1} direction - 1 = forward, -1 = backward.
+ * @param {function(SortHistory, number): boolean} test - From timeline.js.
+ */
+function jumpToNext(direction, test) {
+  const step = findStep(sortingHistory, currentStep, direction, test);
+  if (step !== -1) jumpTo(step);
+}
+
+/**
+ * Keyboard shortcuts for the timeline.
+ * Ignored while typing in a field (size, seed, custom values...), so digits,
+ * arrows and spaces keep doing their usual job there. The timeline slider
+ * itself is the exception: there the shortcuts replace its native arrow keys.
+ * @param {KeyboardEvent} event
+ */
+function handleShortcut(event) {
+  if (event.target !== timelineSlider && event.target.closest('input, textarea, select')) return;
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+  const actions = {
+    ' ': togglePlay,
+    ArrowRight: () => (event.shiftKey ? jumpToNext(1, isSwap) : stepForward()),
+    ArrowLeft: () => (event.shiftKey ? jumpToNext(-1, isSwap) : stepBack()),
+    p: () => jumpToNext(1, isPassEnd),
+    P: () => jumpToNext(1, isPassEnd),
+    Home: () => jumpTo(0),
+    End: () => jumpTo(getLastStep())
+  };
+
+  const action = actions[event.key];
+  if (!action) return;
+
+  // e.g. stop Space from also "clicking" the focused button, or scrolling the page
+  event.preventDefault();
+  action();
 }
 
 /**
@@ -104,31 +1065,91 @@ function calculateHistory() {
 
 // Toggle: The Play Button acts as a switch
 function togglePlay() {
-  if (isPlaying) {
+  restoringStep = null; // The user takes over from a shared link
+  if (isPlaying && playDirection === 1) {
     pause(); // If ON, turn OFF
+    narrateStep(); // Describe the frame we stopped on
+  } else {
+    play(1); // If OFF (or rewinding), play forward
+  }
+}
+
+// Toggle: The Rewind Button is the same switch, backward
+function toggleRewind() {
+  restoringStep = null;
+  if (isPlaying && playDirection === -1) {
+    pause();
+    narrateStep();
   } else {
-    play();  // If OFF, turn ON
+    play(-1);
   }
 }
 
-// Starts the animation loop
-function play() {
+/**
+ * Plays forward up to the next step that passes a test, then pauses there.
+ * @param {function(SortHistory, number): boolean} test - From timeline.js.
+ */
+function runUntil(test) {
+  restoringStep = null;
+  play(1, test);
+}
+
+// "Run until: Bar Finalized" -> checks the position first
+function runUntilFinalized() {
+  const index = parseInt(runIndexInput.value, 10);
+
+  // Show the problem next to the input instead of playing to the end
+  if (Number.isNaN(index) || index < 0 || index >= array.length) {
+    runError.textContent = `Pick a position from 0 to ${array.length - 1}.`;
+    return;
+  }
+  if (getPaneFrame(sortingHistory, currentStep).sortedIndices.includes(index)) {
+    runError.textContent = `Bar ${index} is already in its final place.`;
+    return;
+  }
+
+  runError.textContent = '';
+  runUntil(finalizesIndex(index));
+}
+
+/**
+ * Starts the animation loop.
+ * @param {1|-1} [direction=1] - 1 = play, -1 = rewind.
+ * @param {function(SortHistory, number): boolean|null} [stopTest=null] - Pause on the first step that passes it.
+ */
+function play(direction = 1, stopTest = null) {
   if (typeof audioManager !== 'undefined') audioManager.init();
 
-  // Restart if we're already at the end
-  if (currentStep >= sortingHistory.length - 1) {
+  // Restart if we're already at the end (or at the start, when rewinding)
+  if (direction === 1 && isComplete() && currentStep >= getLastStep()) {
     currentStep = 0;
+    renderPanes();
+  } else if (direction === -1 && currentStep === 0) {
+    currentStep = getLastStep();
+    renderPanes();
+  }
+
+  // pause() clears any old run-until target, so stop the old loop first
+  pause();
+  if (hitBreakpoint !== -1) {
+    hitBreakpoint = -1;
+    renderBreakpoints();
   }
+  playDirection = direction;
+  runUntilTest = stopTest;
 
   isPlaying = true;
-  playPauseBtn.textContent = 'Pause';
+  playPauseBtn.textContent = direction === 1 ? 'Pause' : 'Play';
+  rewindBtn.textContent = direction === -1 ? 'Pause' : REWIND_LABEL;
   loop();
 }
 
 // Function: Stop the loop
 function pause() {
   isPlaying = false;
+  runUntilTest = null;
   playPauseBtn.textContent = 'Play'; // Update UI Text
+  rewindBtn.textContent = REWIND_LABEL;
 
   // CRITICAL: Cancel the pending next frame so it stops immediately
   if (timeoutId) clearTimeout(timeoutId);
@@ -137,53 +1158,231 @@ function pause() {
 
 /**
  * Main animation loop.
- * Advances the step, renders the frame, plays sound, and schedules the next iteration.
+ * Moves one step (forward or backward), renders the frame, plays sound, and
+ * schedules the next iteration.
  */
 function loop() {
   // 1. CHECK: Should we be running?
   if (!isPlaying) return;
 
-  // 2. CHECK: Are there more frames left?
-  if (currentStep < sortingHistory.length - 1) {
+  // QUIZ: The student predicts what happens before we move past this frame
+  if (playDirection === 1 && askQuizQuestions()) {
+    updateControls();
+    return;
+  }
 
-    // INCREMENT: Go to next frame
-    currentStep++;
+  // 2. CHECK: Are there more frames left (in this direction)?
+  const hasNextFrame = playDirection === 1 ? currentStep < getLastStep() : currentStep > 0;
 
-    // VISUALS: Draw the new frame (display.js)
-    renderStep(sortingHistory[currentStep]);
+  if (hasNextFrame) {
 
-    // AUDIO: Play sound effects (audio.js)
-    if (typeof audioManager !== 'undefined') {
-      // Look at what happened in this new frame
-      const frame = sortingHistory[currentStep];
+    // MOVE: Go to the next (or previous) frame and draw it
+    if (playDirection === 1) {
+      advanceFrame();
+    } else {
+      rewindFrame();
+    }
+
+    // RUN UNTIL: Reached the target frame? Stop on it.
+    if (runUntilTest && currentStep < sortingHistory.length && runUntilTest(sortingHistory, currentStep)) {
+      pause();
+      updateControls();
+      return;
+    }
 
-      // Trigger appropriate sound
-      if (frame.type === 'comparison') audioManager.playCompare(); // Blip
-      if (frame.type === 'swap') audioManager.playSwap();          // Zip
-      if (frame.type === 'finalized') audioManager.playSorted();   // Chime
+    // BREAKPOINTS: Stop when a condition matches (forward only: "drops below"
+    // and "moves" describe what the step does, not what undoing it does)
+    const hit = playDirection === 1 ? findBreakpointHit() : -1;
+    if (hit !== -1) {
+      hitBreakpoint = hit;
+      renderBreakpoints();
+      pause();
+      updateControls();
+      return;
     }
 
-    // Calculate delay (inverted logic: higher speed = lower delay)
-    // Scale: 100 (fastest) -> 1ms, 1 (slowest) -> 500ms
-    const speed = parseInt(speedSlider.value, 10);
-    const maxDelay = 500;
-    const minDelay = 1;
+    timeoutId = setTimeout(loop, getStepDelay());
 
-    const delay = maxDelay - ((speed / 100) * (maxDelay - minDelay));
-    timeoutId = setTimeout(loop, delay);
+  } else if (playDirection === 1 && !isComplete()) {
+    // 3. WAIT: Caught up with the background job, check again shortly
+    timeoutId = setTimeout(loop, 50);
 
   } else {
-    // 3. DONE: Logic reached the end
+    // 4. DONE: Logic reached the end (each pane already had its victory lap)
     pause(); // Stop everything
+    if (quiz && playDirection === 1) finishQuiz();
+  }
+
+  // Update button states (Enable/Disable Step buttons)
+  updateControls();
+}
+
+/**
+ * Milliseconds between steps for the current speed setting.
+ * @returns {number}
+ */
+function getStepDelay() {
+  // Calculate delay (inverted logic: higher speed = lower delay)
+  // Scale: 100 (fastest) -> 1ms, 1 (slowest) -> 500ms
+  const speed = parseInt(speedSlider.value, 10);
+  const maxDelay = 500;
+  const minDelay = 1;
+
+  return maxDelay - ((speed / 100) * (maxDelay - minDelay));
+}
+
+// Swapped bars slide for most of a step, so they arrive before the next frame
+function getSlideMs() {
+  return getStepDelay() * 0.8;
+}
+
+// One step forward: draws each pane that is still running, plus its sound
+function advanceFrame() {
+  // INCREMENT: Go to next frame
+  currentStep++;
+
+  // VISUALS: Draw the new frame in each pane that is still running (display.js)
+  // A finished pane is left alone so its completion wave keeps playing.
+  const panes = [{ history: sortingHistory, job: mainJob, container: mainContainer }];
+  if (isRacing) panes.push({ history: raceHistory, job: raceJob, container: raceContainer });
 
-    // VISUALS: Trigger the victory lap!
-    if (typeof triggerCompletionWave === 'function') {
-      triggerCompletionWave();
+  panes.forEach(({ history, job, container }) => {
+    if (currentStep > history.length - 1) return;
+
+    const frame = history.getFrame(currentStep);
+    renderStep(frame, container, { slideMs: getSlideMs() });
+    if (container === mainContainer) highlightPseudocode(frame);
+
+    // This pane just reached its last frame: victory lap for it alone
+    if (!isCalculating(job) && currentStep === history.length - 1) {
+      triggerCompletionWave(container);
     }
+  });
+
+  // AUDIO: Play sound effects for the main pane (audio.js)
+  playStepSound(currentStep, false);
+}
+
+// One step backward: undoes the current step (reversed sound, no victory lap)
+function rewindFrame() {
+  playStepSound(currentStep, true);
+  currentStep--;
+  renderPanes();
+}
+
+/**
+ * Plays the sound of one main-pane step (audio.js).
+ * @param {number} step - The step being played (or undone).
+ * @param {boolean} reversed - Rewinding: zips fall and chimes go downward.
+ */
+function playStepSound(step, reversed) {
+  if (typeof audioManager === 'undefined' || step >= sortingHistory.length) return;
+
+  // Look at what happened in this frame
+  const type = sortingHistory.getType(step);
+
+  // Value modes need the values at the touched indices
+  let values = null;
+  if (audioManager.mode !== 'classic' && (type === 'comparison' || type === 'swap')) {
+    const frame = sortingHistory.getFrame(step);
+    values = frame.indices.map((idx) => keyOf(frame.array[idx]));
   }
 
-  // Update button states (Enable/Disable Step buttons)
+  // Trigger appropriate sound
+  if (type === 'comparison') audioManager.playCompare(values);   // Blip
+  if (type === 'swap') audioManager.playSwap(reversed, values);  // Zip
+  if (type === 'finalized') audioManager.playSorted(reversed);   // Chime
+}
+
+// "Export WAV": render the main pane's whole run offline at the current speed
+async function exportSoundtrack() {
+  // Name the file now: the user may pick another run while this renders
+  const filename = `${algorithmSelect.value}-${array.length}-sound.wav`;
+
+  isRenderingAudio = true;
+  exportAudioBtn.textContent = 'Rendering…';
   updateControls();
+  let result;
+  try {
+    result = await audioManager.renderHistory(sortingHistory, getStepDelay() / 1000);
+  } catch (err) {
+    result = { buffer: null, error: `Rendering the soundtrack failed (${err.message}).` };
+  } finally {
+    // Never leave the button stuck on "Rendering…"
+    isRenderingAudio = false;
+    exportAudioBtn.textContent = 'Export WAV';
+    updateControls();
+  }
+  const { buffer, error } = result;
+
+  // Show the problem next to the button
+  if (error) {
+    audioExportError.textContent = error;
+    return;
+  }
+  audioExportError.textContent = '';
+
+  downloadFile(filename, encodeWav(buffer), 'audio/wav');
+}
+
+// "Record": export the main pane's run as WebM or PNG frames (click again to cancel)
+async function recordRun() {
+  if (recordingAbort) {
+    recordingAbort.abort();
+    return;
+  }
+
+  // 1. CHECK: "Every" must be a whole number >= 1
+  const every = parseInt(recordEveryInput.value, 10);
+  if (Number.isNaN(every) || every < 1) {
+    recordError.textContent = 'Every must be 1 or more.';
+    return;
+  }
+  recordError.textContent = '';
+
+  // Name the file now: the user may pick another run while this records
+  const format = recordFormatSelect.value;
+  const algorithm = getAlgorithm(algorithmSelect.value);
+  const filename = `${algorithm.id}-${array.length}.${format === 'webm' ? 'webm' : 'zip'}`;
+
+  // 2. RECORD: the button turns into Cancel and shows progress
+  recordingAbort = new AbortController();
+  let result;
+  try {
+    result = await recordHistory(sortingHistory, {
+      format,
+      every,
+      stepMs: getStepDelay(),
+      title: recordOverlayCheckbox.checked ? paneTitle(algorithm.name, sortingHistory.order) : null,
+      onProgress: (fraction) => { recordBtn.textContent = `Cancel (${Math.floor(fraction * 100)}%)`; },
+      signal: recordingAbort.signal
+    });
+  } catch (err) {
+    result = { blob: null, error: `Recording failed (${err.message}).` };
+  } finally {
+    // Never leave the button stuck on "Cancel"
+    recordingAbort = null;
+    recordBtn.textContent = 'Record';
+    updateControls();
+  }
+  const { blob, error } = result;
+
+  if (error) {
+    recordError.textContent = error;
+    return;
+  }
+  downloadFile(filename, blob);
+}
+
+// Sound panel -> audioManager (read every control each time; there are only a few)
+function applySoundSettings() {
+  audioManager.isMuted = muteCheckbox.checked;
+  audioManager.setMasterVolume(parseInt(masterVolumeSlider.value, 10) / 100);
+  audioManager.oscillatorType = waveformSelect.value;
+  audioManager.mode = soundModeSelect.value;
+  Object.entries(eventVolumeSliders).forEach(([event, slider]) => {
+    audioManager.eventVolumes[event] = parseInt(slider.value, 10) / 100;
+  });
 }
 
 
@@ -195,53 +1394,137 @@ function loop() {
 
 function stepForward() {
   pause(); // Manual control stops auto-play
+  restoringStep = null;
 
   // Only move if not at end
-  if (currentStep < sortingHistory.length - 1) {
+  if (currentStep < getLastStep()) {
     currentStep++;
-    renderStep(sortingHistory[currentStep]);
+    renderPanes(getSlideMs()); // One step forward still slides; back / jumps do not
   }
   updateControls();
 }
 
 function stepBack() {
   pause(); // Manual control stops auto-play
+  restoringStep = null;
 
   // Only move if not at start
   if (currentStep > 0) {
     currentStep--;
-    renderStep(sortingHistory[currentStep]);
+    renderPanes();
   }
   updateControls();
 }
 
 function reset() {
   pause(); // Stop whatever is happening
+  restoringStep = null;
   currentStep = 0; // Rewind to start
-  renderStep(sortingHistory[0]); // Draw start
+  renderPanes(); // Draw start
   updateControls();
 }
 
 function updateControls() {
   // Safety check
-  if (!sortingHistory.length) return;
+  if (!sortingHistory) return;
+
+  // Remember where we are (not during playback: browsers limit URL updates)
+  if (!isPlaying) saveUrlState('replace');
 
   // Disable "Back" if at start
   stepBackBtn.disabled = currentStep === 0;
 
   // Disable "Forward" if at end
-  stepFwdBtn.disabled = currentStep === sortingHistory.length - 1;
+  stepFwdBtn.disabled = currentStep === getLastStep();
+
+  // Keep the scrubber in sync (its end grows while steps are arriving)
+  timelineSlider.max = getLastStep();
+  timelineSlider.value = currentStep;
+  timelineSlider.setAttribute('aria-valuetext', `Step ${currentStep} of ${getLastStep()}`);
+
+  // Update step counter text (plus progress while steps are still arriving)
+  const job = [mainJob, raceJob].find(isCalculating);
+  const progress = job ? ` (calculating… ${Math.floor(job.progress * 100)}%)` : '';
+  stepCounter.textContent = `Steps: ${currentStep} / ${getLastStep()}${progress}`;
+
+  // A run can only be saved (or rendered) once all of it exists
+  exportHistoryBtn.disabled = isCalculating(mainJob);
+  exportAudioBtn.disabled = isCalculating(mainJob) || isRenderingAudio;
+  recordBtn.disabled = isCalculating(mainJob) && !recordingAbort;
+
+  // The quiz looks ahead in the history, so it needs all of it too
+  quizBtn.disabled = !quiz && isCalculating(mainJob);
+  dropQuizQuestionIfMoved();
+
+  // Each pane counts its own steps (and stops counting when it finishes)
+  updatePaneCounter(mainPaneCounter, sortingHistory, mainJob);
+  if (isRacing) updatePaneCounter(racePaneCounter, raceHistory, raceJob);
+
+  // Say what the main pane shows now
+  narrateStep();
+
+  // Statistics follow the main pane (blank until the history is complete)
+  if (!historyStats) {
+    renderStats(null, null);
+    return;
+  }
+  renderStats(historyStats.at(Math.min(currentStep, sortingHistory.length - 1)), historyStats.totals);
+}
+
+/**
+ * Describes the main pane's step in the live region (narration.js).
+ * Fast playback only gets a progress summary every few seconds; once it
+ * slows down or stops, the step on screen is described in full.
+ */
+function narrateStep() {
+  const fast = isPlaying && getStepDelay() < NARRATE_EVERY_STEP_MS;
+  const lastStep = sortingHistory.length - 1;
+  const step = Math.min(currentStep, lastStep);
+
+  if (fast) {
+    narrator.summarize(() => describeProgress(getPaneFrame(sortingHistory, step), step, lastStep));
+    narratedFull = false;
+  } else if (!narratedFull || narratedStep !== step || narratedHistory !== sortingHistory) {
+    const done = step === lastStep && !isCalculating(mainJob) ? ' Sorting complete.' : '';
+    narrator.say(describeFrame(getPaneFrame(sortingHistory, step)) + done);
+    narratedFull = true;
+  }
+  narratedHistory = sortingHistory;
+  narratedStep = step;
+}
+
+function updatePaneCounter(counter, history, job) {
+  const lastStep = history.length - 1;
+  const step = Math.min(currentStep, lastStep);
+  let status = isCalculating(job) ? ' (calculating…)' : step === lastStep ? ' (done)' : '';
 
-  // Update step counter text
-  stepCounter.textContent = `Steps: ${currentStep} / ${sortingHistory.length - 1}`;
+  // Finished: is the result really in the chosen order, and (for labeled
+  // runs) did equal keys keep their original order?
+  if (status === ' (done)') {
+    const compare = createComparator(history.order);
+    const result = history.getArray(lastStep);
+    if (!isInOrder(result, compare)) status = ' (done — not in order!)';
+    else if (isLabeled(history.input)) status += ` — ${checkStability(history.input, result, compare).message}`;
+  }
+  counter.textContent = `Steps: ${step} / ${lastStep}${status}`;
 }
 
 
-// "Generate New Array" -> Init()
-generateBtn.addEventListener('click', init);
+// "Generate New Array" -> NewArray() (new seed)
+generateBtn.addEventListener('click', newArray);
 
-// "Size Input Change" -> Init()
-arraySizeInput.addEventListener('change', init);
+// "Size / Shape / Seed Change" -> back to generated arrays (same seed)
+arraySizeInput.addEventListener('change', leaveCustomMode);
+distributionSelect.addEventListener('change', leaveCustomMode);
+swapCountInput.addEventListener('change', leaveCustomMode);
+seedInput.addEventListener('change', leaveCustomMode);
+
+// "Label Duplicates" -> Init() (same numbers, with or without tags)
+labelCheckbox.addEventListener('change', init);
+
+// "Custom Input" -> ApplyCustomText() / ApplyCustomFile()
+customApplyBtn.addEventListener('click', applyCustomText);
+customFileInput.addEventListener('change', applyCustomFile);
 
 // "Reset" -> Reset()
 resetBtn.addEventListener('click', reset);
@@ -252,11 +1535,106 @@ stepBackBtn.addEventListener('click', stepBack);
 // "Next" -> StepForward()
 stepFwdBtn.addEventListener('click', stepForward);
 
-// "Optimized Toggle" -> CalculateHistory()
-optimizedCheckbox.addEventListener('change', calculateHistory);
+// "Renderer" -> redraw the current frame with the chosen renderer
+rendererSelect.addEventListener('change', () => {
+  setRendererMode(rendererSelect.value);
+  renderPanes();
+});
+
+// "Colors" -> recolor the bars (CSS), canvases and timeline marks
+paletteSelect.addEventListener('change', () => {
+  setPalette(paletteSelect.value);
+  document.documentElement.dataset.palette = paletteSelect.value;
+  renderPanes();
+  updateTimelineMarks();
+});
+
+// "Save Run / Load Run" -> ExportHistory() / ImportHistory()
+exportHistoryBtn.addEventListener('click', exportHistory);
+historyFileInput.addEventListener('change', importHistory);
+
+// "Algorithm Dropdown" -> CalculateHistory()
+algorithmSelect.addEventListener('change', calculateHistory);
+
+// "Order / Direction" -> CalculateHistory() (same array, new order)
+comparatorSelect.addEventListener('change', calculateHistory);
+directionSelect.addEventListener('change', calculateHistory);
+
+// "Race Toggle / Second Algorithm" -> CalculateHistory()
+raceCheckbox.addEventListener('change', calculateHistory);
+raceAlgorithmSelect.addEventListener('change', calculateHistory);
 
 // "Play" -> Toggle()
 playPauseBtn.addEventListener('click', togglePlay);
 
+// "Rewind" -> ToggleRewind()
+rewindBtn.addEventListener('click', toggleRewind);
+
+// "Run until" -> RunUntil()
+runSwapBtn.addEventListener('click', () => runUntil(isSwap));
+runPassBtn.addEventListener('click', () => runUntil(isPassEnd));
+runFinalizedBtn.addEventListener('click', runUntilFinalized);
+
+// "Timeline" -> JumpTo() while dragging
+timelineSlider.addEventListener('input', () => jumpTo(parseInt(timelineSlider.value, 10)));
+
+// "Keyboard" -> HandleShortcut()
+document.addEventListener('keydown', handleShortcut);
+
+// "Window Resize" -> redraw the marks (and the benchmark chart) at the new width
+window.addEventListener('resize', updateTimelineMarks);
+window.addEventListener('resize', renderBenchmark);
+
+// "Sound Settings" -> ApplySoundSettings()
+[muteCheckbox, masterVolumeSlider, waveformSelect, soundModeSelect, ...Object.values(eventVolumeSliders)]
+  .forEach((control) => control.addEventListener('input', applySoundSettings));
+
+// "Export WAV" -> ExportSoundtrack()
+exportAudioBtn.addEventListener('click', exportSoundtrack);
+
+// "Record" -> RecordRun()
+recordBtn.addEventListener('click', recordRun);
+
+// "Breakpoints" -> AddBreakpoint()
+breakpointAddBtn.addEventListener('click', addBreakpoint);
+breakpointTypeSelect.addEventListener('change', updateBreakpointInputs);
+
+// "Quiz" -> ToggleQuiz(), answers -> SubmitQuizAnswer()
+quizBtn.addEventListener('click', toggleQuiz);
+quizSwapBtn.addEventListener('click', () => submitQuizAnswer(true));
+quizNoSwapBtn.addEventListener('click', () => submitQuizAnswer(false));
+quizIndexBtn.addEventListener('click', submitQuizIndex);
+quizIndexInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') submitQuizIndex();
+});
+mainContainer.addEventListener('click', pickQuizBar);
+quizCloseBtn.addEventListener('click', () => { quizSummary.hidden = true; });
+
+// "Benchmark" -> StartBenchmark(), chart choices -> RenderBenchmark()
+benchRunBtn.addEventListener('click', startBenchmark);
+benchMetricSelect.addEventListener('change', renderBenchmark);
+benchChartDistribution.addEventListener('change', renderBenchmark);
+benchCsvBtn.addEventListener('click', exportBenchmarkCsv);
+
+// "Speed" -> remembered in the URL
+speedSlider.addEventListener('change', () => saveUrlState('replace'));
+
+// "Browser Back / Forward" (or an edited hash) -> LoadUrlState()
+window.addEventListener('popstate', loadUrlState);
+
 // STARTUP: Run once when page loads
-init();
\ No newline at end of file
+populateSelect(algorithmSelect, ALGORITHMS);
+populateSelect(raceAlgorithmSelect, ALGORITHMS);
+populateSelect(comparatorSelect, COMPARATORS);
+populateSelect(directionSelect, SORT_DIRECTIONS);
+raceAlgorithmSelect.value = 'bubble-optimized';
+populateSelect(distributionSelect, DISTRIBUTIONS);
+populateSelect(breakpointTypeSelect, BREAKPOINT_TYPES);
+populateSelect(waveformSelect, WAVEFORMS);
+populateSelect(soundModeSelect, SOUND_MODES);
+populateSelect(recordFormatSelect, RECORD_FORMATS);
+populateSelect(paletteSelect, PALETTES);
+populateSelect(benchMetricSelect, BENCHMARK_METRICS);
+populateBenchmarkShapes();
+updateBreakpointInputs();
+if (!loadUrlState()) init(); // A shared link wins over the defaults
\ No newline at end of file
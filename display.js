@@ -2,86 +2,327 @@
  * Handles DOM manipulation and rendering of the sorting visualization.
  */
 
+import { renderCanvasStep, triggerCanvasWave } from "./canvas-renderer.js";
+import { keyOf, tagColorOf, describeElement } from "./records.js";
+
+// Above this many bars, 'auto' mode switches from DOM bars to canvas
+export const CANVAS_THRESHOLD = 150;
+
+// 'auto' | 'dom' | 'canvas'
+let rendererMode = 'auto';
+
+/**
+ * Chooses how bars are drawn.
+ * @param {string} mode - 'auto' (by size), 'dom' or 'canvas'.
+ */
+export function setRendererMode(mode) {
+  rendererMode = mode;
+}
+
+// Decides the renderer for an array of 'size' bars
+function shouldUseCanvas(size) {
+  if (rendererMode === 'canvas') return true;
+  if (rendererMode === 'dom') return false;
+  return size > CANVAS_THRESHOLD;
+}
+
+/**
+ * Works out the vertical scale for a set of values.
+ * The range always includes 0, so negative values hang below a zero line.
+ * @param {Array} values - The numbers (or labeled records) being drawn.
+ * @returns {{floor: number, range: number}} - Lowest drawn value and total span.
+ */
+export function getValueRange(values) {
+  let min = 0;
+  let max = 0;
+  values.map(keyOf).forEach((value) => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+
+  // Guard: an all-zero array would divide by zero
+  return { floor: min, range: (max - min) || 1 };
+}
+
+// Persistent DOM bars per pane: state.bars[id] draws input element 'id' for the whole run
+const domStates = new WeakMap();
+
+// Position each bar sits at right now (the completion wave runs left to right)
+const barPositions = new WeakMap();
+
+// Slides shorter than this would be over within a screen refresh: just jump
+const MIN_SLIDE_MS = 30;
+
 /**
  * Renders a single frame of the sorting animation.
+ * Bars are kept between frames (one per input element, see frame.ids), so on a
+ * swap the two bars can slide past each other instead of jumping.
  * @param {object} frame - The snapshot containing the array and state (comparison, swap, etc.).
+ * @param {HTMLElement} [container] - Pane to draw into (defaults to the main pane).
+ * @param {object} [options]
+ * @param {number} [options.slideMs=0] - Swap frames: how long the swapped bars take to
+ *   slide (keep it under the frame delay). 0 = move straight there (jumps, scrubbing).
  */
-export function renderStep(frame) {
-  // 1. Find the container in the HTML where bars go
-  const container = document.getElementById('visualization-container');
+export function renderStep(frame, container = document.getElementById('visualization-container'), { slideMs = 0 } = {}) {
+  // 1. The container in the HTML where bars go
   // Safety check: Does the container exist?
   if (!container) return; // If not, stop.
 
   // Safety check: Is the frame valid?
   if (!frame || !frame.array) return;
 
-  // 3. WIPE THE SCREEN
-  // Verify strictly: innerHTML = '' deletes all children elements.
-  container.innerHTML = '';
+  // Scale to the real data (custom arrays can be negative or larger than 100)
+  const { floor, range } = getValueRange(frame.array);
+
+  // 2. LARGE ARRAYS: hand over to the canvas renderer (canvas-renderer.js)
+  if (shouldUseCanvas(frame.array.length)) {
+    renderCanvasStep(frame, container, { floor, range });
+    return;
+  }
+
+  // 3. GET THE BARS: built once per pane and array size, then reused
+  const state = getDomState(container, frame.array.length);
+  const rescaled = state.floor !== floor || state.range !== range;
+  state.floor = floor;
+  state.range = range;
 
-  // Max value is 100, used to calculate relative height %
-  const maxVal = 100;
+  // Which input element is where (frames without ids: each position is its own bar)
+  const ids = frame.ids || frame.array.map((_, i) => i);
+  const touched = Array.isArray(frame.indices) ? frame.indices : [];
+  const sorted = new Set(frame.sortedIndices || []);
+  const slide = frame.type === 'swap' && slideMs >= MIN_SLIDE_MS;
 
-  // 4. GENERATE BARS Loop
+  // 4. UPDATE BARS Loop
   // frame.array is the list of numbers at this moment, e.g., [10, 55, 3...]
-  frame.array.forEach((value, i) => {
+  frame.array.forEach((element, i) => {
+    const id = ids[i];
+    const bar = state.bars[id];
 
-    // Create the DIV element
-    const bar = document.createElement('div');
+    // A. LOOK: Only redrawn when the bar shows something new (new array or scale)
+    if (rescaled || state.elements[id] !== element) {
+      drawBarValue(bar, element, floor, range);
+      state.elements[id] = element;
+    }
 
-    // Add the CSS class 'bar' (gives it width, color, etc.)
-    bar.classList.add('bar');
+    // B. MOVE: Bars stay in input order in the DOM and are shifted to position i.
+    // One slot = the bar's own width plus its 2px of margin (styles.css).
+    // Swapped bars glide there; everything else moves instantly.
+    bar.style.setProperty('--slide-ms', slide && touched.includes(i) ? `${slideMs}ms` : '0ms');
+    bar.style.translate = i === id ? '' : `calc(${i - id} * (100% + 2px))`;
+    barPositions.set(bar, i);
 
-    // Set the Height dynamically
-    // Formula: (Value / 100) * 100 = Percentage
-    // Example: Value 50 -> 50% height
-    bar.style.height = `${(value / maxVal) * 100}%`;
+    // C. APPLY COLORS Based on Event Type
+    // COMPARISON (Yellow/Orange): "We are strictly looking at these two"
+    bar.classList.toggle('comparing', frame.type === 'comparison' && touched.includes(i));
 
-    // TOOLTIP: Store the number so CSS can display it on hover
-    bar.dataset.value = value;
+    // SWAP (Red/Green): "These two are moving!"
+    bar.classList.toggle('swapping', frame.type === 'swap' && touched.includes(i));
 
-    // D. APPLY COLORS Based on Event Type
+    // SORTED (Green/Blue): "This bar is in its final position, never to move again"
+    bar.classList.toggle('sorted', sorted.has(i));
 
-    // CASE 1: COMPARISON (Yellow/Orange)
-    // "We are strictly looking at these two"
-    if (frame.type === 'comparison') {
-      // frame.indices hold [a, b]. Is the current bar 'i' one of them?
-      // FAILSAFE: Ensure indices is an array
-      if (Array.isArray(frame.indices) && frame.indices.includes(i)) {
-        bar.classList.add('comparing');
-      }
-    }
+    // D. A new frame ends any completion wave still showing
+    bar.classList.remove('finished');
 
-    // CASE 2: SWAP (Red/Green)
-    // "These two are moving!"
-    else if (frame.type === 'swap') {
-      if (Array.isArray(frame.indices) && frame.indices.includes(i)) {
-        bar.classList.add('swapping');
-      }
+    // E. SCREEN READERS: position, value and state in words (only touched when it changes)
+    const label = describeBar(i, element, bar);
+    if (state.labels[id] !== label) {
+      bar.setAttribute('aria-label', label);
+      bar.setAttribute('aria-posinset', i + 1);
+      state.labels[id] = label;
     }
+  });
+
+  // 5. READING ORDER: the DOM keeps input order, so tell assistive technology
+  // the on-screen order instead (aria-owns lists the bars left to right)
+  const owns = ids.map((id) => state.bars[id].id).join(' ');
+  if (state.owns !== owns) {
+    container.setAttribute('aria-owns', owns);
+    state.owns = owns;
+  }
+}
 
-    // CASE 3: SORTED (Green/Blue)
-    // "This bar is in its final position, never to move again"
-    // frame.sortedIndices is a list of ALL bars that are done.
-    if (frame.sortedIndices && frame.sortedIndices.includes(i)) {
-      bar.classList.add('sorted');
+/**
+ * A bar's accessible name, e.g. "Position 3: 42, comparing".
+ * @param {number} i - On-screen position.
+ * @param {number|object} element - Value or labeled record (records.js).
+ * @param {HTMLElement} bar - The bar, with this frame's classes already set.
+ * @returns {string}
+ */
+function describeBar(i, element, bar) {
+  const status = ['comparing', 'swapping', 'sorted'].find((name) => bar.classList.contains(name));
+  return `Position ${i}: ${describeElement(element)}${status ? `, ${status}` : ''}`;
+}
+
+/**
+ * Where a DOM bar is on screen (bars stay in input order in the DOM).
+ * @param {HTMLElement} bar - A '.bar' element drawn by renderStep.
+ * @returns {number} - Position 0 .. n - 1, or -1 if it was never drawn.
+ */
+export function getBarPosition(bar) {
+  return barPositions.get(bar) ?? -1;
+}
+
+/**
+ * Finds (or builds) a pane's bars.
+ * @param {HTMLElement} container - The pane.
+ * @param {number} n - Bar count.
+ * @returns {{bars: HTMLElement[], elements: Array, labels: string[], owns: string, floor: number, range: number}}
+ */
+function getDomState(container, n) {
+  let state = domStates.get(container);
+
+  // First frame, a new array size, or the canvas renderer took the pane over
+  if (!state || state.bars.length !== n || (n > 0 && state.bars[0].parentNode !== container)) {
+    // WIPE THE SCREEN: innerHTML = '' deletes all children elements.
+    container.innerHTML = '';
+    container.setAttribute('role', 'list');
+
+    state = { bars: [], elements: new Array(n), labels: new Array(n), owns: '', floor: 0, range: 1 };
+    for (let id = 0; id < n; id++) {
+      // Create the DIV element, with the CSS class 'bar' (gives it width, color, etc.)
+      const bar = document.createElement('div');
+      bar.classList.add('bar');
+
+      // A list item to screen readers (the id lets aria-owns put it in screen order)
+      bar.id = `${container.id}-bar-${id}`;
+      bar.setAttribute('role', 'listitem');
+      bar.setAttribute('aria-setsize', n);
+      container.appendChild(bar);
+      state.bars.push(bar);
     }
+    domStates.set(container, state);
+  }
+
+  return state;
+}
+
+/**
+ * Sets a bar's height, tooltip and tag for the element it draws.
+ * @param {HTMLElement} bar - The bar.
+ * @param {number|object} element - Value or labeled record (records.js).
+ * @param {number} floor - Lowest drawn value (getValueRange).
+ * @param {number} range - Total span (getValueRange).
+ */
+function drawBarValue(bar, element, floor, range) {
+  // Labeled records (records.js) are drawn by their key
+  const value = keyOf(element);
+
+  // Set the Height dynamically
+  // Formula: (|Value| / Range) * 100 = Percentage
+  // Example: Values 0..50, Value 25 -> 50% height
+  bar.style.height = `${(Math.abs(value) / range) * 100}%`;
+
+  // Lift the bar so it starts at the zero line
+  // (positive bars grow up from 0, negative bars hang down from 0)
+  bar.style.bottom = `${((Math.min(value, 0) - floor) / range) * 100}%`;
+
+  // TOOLTIP: Store the number so CSS can display it on hover ("7B" for records)
+  bar.dataset.value = describeElement(element);
+
+  // TAG: Equal keys get a colored letter on top, so you can follow them
+  bar.textContent = '';
+  const tagColor = tagColorOf(element);
+  if (tagColor) {
+    const tag = document.createElement('span');
+    tag.classList.add('bar-tag');
+    tag.textContent = element.label;
+    tag.style.backgroundColor = tagColor;
+    bar.appendChild(tag);
+  }
+}
+
+/**
+ * Fills the statistics panel for one step of the history.
+ * @param {object|null} current - Counters at the step being shown (stats.at(step) in stats.js), null while calculating.
+ * @param {object} totals - Whole-run totals (stats.totals).
+ */
+export function renderStats(current, totals) {
+  const panel = document.getElementById('stats-panel');
+  if (!panel) return;
 
-    // E. Put the bar into the container
-    container.appendChild(bar);
+  // Totals are unknown while the history is still being calculated
+  if (!current || !totals) {
+    panel.querySelectorAll('[data-stat]').forEach((cell) => { cell.textContent = '…'; });
+    return;
+  }
+
+  // "so far / whole run" for each counter
+  const rows = {
+    comparisons: `${current.comparisons} / ${totals.comparisons}`,
+    swaps: `${current.swaps} / ${totals.swaps}`,
+    passes: `${current.pass} / ${totals.passes}`,
+    finalized: `${current.finalized} / ${totals.finalized}`,
+    inversions: `${current.inversions} / ${totals.initialInversions}`
+  };
+
+  Object.entries(rows).forEach(([key, text]) => {
+    const cell = panel.querySelector(`[data-stat="${key}"]`);
+    if (cell) cell.textContent = text;
+  });
+}
+
+/**
+ * Builds the pseudocode panel for an algorithm (once per algorithm change).
+ * @param {{id: string, text: string}[]} pseudocode - Lines from the algorithm registry.
+ */
+export function renderPseudocode(pseudocode) {
+  const list = document.getElementById('pseudocode-lines');
+  if (!list) return;
+
+  list.innerHTML = '';
+  pseudocode.forEach((line) => {
+    const item = document.createElement('li');
+    item.textContent = line.text;
+    item.dataset.line = line.id;
+    list.appendChild(item);
   });
 }
 
+/**
+ * Highlights the pseudocode line that produced a frame and shows its loop variables.
+ * @param {object} frame - The current frame (uses frame.line and frame.vars).
+ */
+export function highlightPseudocode(frame) {
+  const list = document.getElementById('pseudocode-lines');
+  const varsBox = document.getElementById('pseudocode-vars');
+  if (!list || !frame) return;
+
+  // Move the highlight
+  list.querySelectorAll('.active-line').forEach((item) => item.classList.remove('active-line'));
+  if (frame.line) {
+    const item = list.querySelector(`[data-line="${frame.line}"]`);
+    if (item) item.classList.add('active-line');
+  }
+
+  // Show variables, e.g. "i = 2   j = 5   swapped = true"
+  if (varsBox) {
+    const entries = Object.entries(frame.vars || {});
+    varsBox.textContent = entries.length
+      ? entries.map(([name, value]) => `${name} = ${value}`).join('   ')
+      : '—';
+  }
+}
+
 /**
  * Triggers a completion animation on the sorted bars.
+ * @param {HTMLElement|Document} [scope] - Pane whose bars should wave (defaults to every bar).
  */
-export function triggerCompletionWave() {
-  const bars = document.querySelectorAll('.bar');
+export function triggerCompletionWave(scope = document) {
+  // Canvas panes get their own sweep animation
+  scope.querySelectorAll('.bar-canvas').forEach((canvas) => triggerCanvasWave(canvas.parentNode));
+
+  const bars = [...scope.querySelectorAll('.bar')];
+
+  // Bars are reused between frames: take the class off and let the browser
+  // notice (reading offsetWidth does that), so a second wave starts over
+  bars.forEach((bar) => bar.classList.remove('finished'));
+  if (bars.length > 0) void bars[0].offsetWidth;
 
-  // Stagger the animation: 
+  // Stagger the animation by on-screen position (not DOM order):
   // Bar 0 jumps at 0.0s, Bar 1 jumps at 0.05s, etc.
   bars.forEach((bar, i) => {
     bar.classList.add('finished');
-    bar.style.animationDelay = `${i * 0.05}s`; // The "Wave" math
+    bar.style.animationDelay = `${(barPositions.get(bar) ?? i) * 0.05}s`; // The "Wave" math
   });
 }
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * Saves generated files (histories, audio, video...) to the user's computer.
+ */
+
+/**
+ * Triggers a browser download for in-memory data.
+ * @param {string} filename - Suggested file name, e.g. 'bubble-20.json'.
+ * @param {Blob|string} data - File contents.
+ * @param {string} [mimeType='application/octet-stream'] - Used when data is a string.
+ */
+export function downloadFile(filename, data, mimeType = 'application/octet-stream') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  // A temporary <a download> link is the portable way to save a file
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before freeing the memory
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
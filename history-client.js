@@ -0,0 +1,102 @@
+/**
+ * Runs history generation in a background worker (history-worker.js).
+ * Falls back to generating on the main thread when module workers are not
+ * available (e.g. very old browsers, or pages opened from file://).
+ */
+
+import { getAlgorithm } from "./algorithms.js";
+import { SortHistory } from "./history.js";
+
+/**
+ * Starts generating a history.
+ * The returned job.history fills up as batches arrive; frame 0 is ready at once.
+ * @param {string} algorithmId - Registry id.
+ * @param {number[]} array - Input array (copied).
+ * @param {object} [callbacks] - Callbacks, plus the sort order:
+ * @param {object|null} [callbacks.order] - { comparator, direction } (comparators.js), null = ascending.
+ * @param {function(number): void} [callbacks.onProgress] - Called with 0..1 after each batch.
+ * @param {function(SortHistory): void} [callbacks.onDone] - Called once the history is complete.
+ * @param {function(SortHistory, string): void} [callbacks.onError] - Called instead of onDone when the
+ *   run cannot be kept (e.g. more steps than MAX_HISTORY_STEPS); the history then holds only frame 0.
+ * @returns {{history: SortHistory, finished: boolean, progress: number, error: string|null, cancel: function(): void}}
+ *   - The job. If job.finished is already true, no callbacks will follow.
+ */
+export function startHistoryJob(algorithmId, array, { order = null, onProgress = () => {}, onDone = () => {}, onError = () => {} } = {}) {
+  const algorithm = getAlgorithm(algorithmId);
+
+  // Generates on this thread; a failed run keeps just its first frame
+  const generateHere = () => {
+    try {
+      return { history: algorithm.generateHistory([...array], { order }), error: null };
+    } catch (err) {
+      return { history: new SortHistory(array, { order }), error: err.message };
+    }
+  };
+
+  // No worker support: do it here and now
+  if (typeof Worker === 'undefined') {
+    return { ...generateHere(), finished: true, progress: 1, cancel() {} };
+  }
+
+  const job = {
+    history: new SortHistory(array, { order }),
+    finished: false,
+    progress: 0,
+    error: null,
+    cancel() {
+      worker.terminate();
+    }
+  };
+
+  // Ends the job with its first frame only and tells the page why
+  const fail = (message) => {
+    worker.terminate();
+    job.history = new SortHistory(array, { order });
+    job.finished = true;
+    job.progress = 1;
+    job.error = message;
+    onError(job.history, message);
+  };
+
+  const worker = new Worker(new URL('./history-worker.js', import.meta.url), { type: 'module' });
+
+  // Worker could not start or crashed: finish the job on the main thread instead
+  const fallBack = () => {
+    worker.terminate();
+    if (job.finished) return;
+    const { history, error } = generateHere();
+    if (error) {
+      fail(error);
+      return;
+    }
+    job.history = history;
+    job.finished = true;
+    job.progress = 1;
+    onDone(job.history);
+  };
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'chunk') {
+      job.history.appendSteps(message.chunk);
+      job.progress = message.progress;
+      onProgress(job.progress);
+    } else if (message.type === 'done') {
+      worker.terminate();
+      job.finished = true;
+      job.progress = 1;
+      onDone(job.history);
+    } else if (message.type === 'error') {
+      // The generator itself failed: running it again here would fail the same way
+      fail(message.message);
+    }
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    fallBack();
+  };
+
+  worker.postMessage({ algorithmId, array: [...array], order });
+  return job;
+}
@@ -0,0 +1,190 @@
+/**
+ * Saves and loads sorting histories as a versioned JSON file.
+ * Steps are stored as operations on top of the input array (not as full
+ * snapshots), then replayed into a SortHistory on import.
+ */
+
+import { ALGORITHMS } from "./algorithms.js";
+import { SortHistory, OP_COMPARE, OP_SWAP, OP_FINALIZE, OP_FINALIZE_ALL } from "./history.js";
+import { describeElement } from "./records.js";
+import { isValidOrder } from "./comparators.js";
+import { MAX_ARRAY_SIZE } from "./input.js";
+
+// Bump when the file layout changes (and keep reading older versions)
+export const HISTORY_FORMAT = 'bubble-sort-visualizer/history';
+export const HISTORY_VERSION = 1;
+
+// Short operation codes used in the file <-> frame types
+const OP_TO_TYPE = { c: 'comparison', s: 'swap', f: 'finalized' };
+const TYPE_TO_OP = { comparison: 'c', swap: 's', finalized: 'f' };
+
+/**
+ * Converts a history into the plain object written to disk.
+ * @param {string} algorithmId - Registry id of the algorithm that produced it.
+ * @param {SortHistory} history - From a history generator.
+ * @returns {object} - { format, version, algorithm, order, input, result, operations }
+ */
+export function encodeHistory(algorithmId, history) {
+  // Each step after 'initial' becomes [op, indices, pass, line, vars]
+  const operations = [];
+  for (let step = 1; step < history.length; step++) {
+    operations.push([
+      TYPE_TO_OP[history.getType(step)],
+      history.getIndices(step),
+      history.getPass(step),
+      history.getLine(step),
+      history.getVars(step)
+    ]);
+  }
+
+  return {
+    format: HISTORY_FORMAT,
+    version: HISTORY_VERSION,
+    algorithm: algorithmId,
+    order: history.order, // null = ascending values (files from before sort orders have none)
+    input: history.input,
+    result: history.getArray(history.length - 1), // Lets import check the replayed swaps
+    operations
+  };
+}
+
+/**
+ * Serializes a history to JSON text ready for download.
+ * @param {string} algorithmId - Registry id of the algorithm.
+ * @param {SortHistory} history - From a history generator.
+ * @returns {string} - JSON text.
+ */
+export function serializeHistory(algorithmId, history) {
+  return JSON.stringify(encodeHistory(algorithmId, history));
+}
+
+/**
+ * Validates a saved file and rebuilds its history.
+ * @param {string} text - Contents of the uploaded file.
+ * @returns {{data: {algorithmId: string, input: Array, history: SortHistory}|null, error: string|null}}
+ *   - Rebuilt history, or a message to show inline.
+ */
+export function parseHistoryFile(text) {
+  // 1. READ the JSON
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (err) {
+    return { data: null, error: 'This file is not valid JSON.' };
+  }
+
+  // 2. CHECK the header
+  if (!file || file.format !== HISTORY_FORMAT) {
+    return { data: null, error: 'This is not a saved sorting history.' };
+  }
+  if (file.version !== HISTORY_VERSION) {
+    return { data: null, error: `Unsupported history version ${file.version} (expected ${HISTORY_VERSION}).` };
+  }
+  if (!ALGORITHMS.some((algorithm) => algorithm.id === file.algorithm)) {
+    return { data: null, error: `Unknown algorithm "${file.algorithm}".` };
+  }
+
+  // Items are numbers or labeled records { key, label } (records.js)
+  const isNumber = (item) => typeof item === 'number' && Number.isFinite(item);
+  const isRecord = (item) => item !== null && typeof item === 'object' && isNumber(item.key) && typeof item.label === 'string';
+  const isElementArray = (value) => Array.isArray(value) && value.every((item) => isNumber(item) || isRecord(item));
+  if (!isElementArray(file.input) || file.input.length === 0) {
+    return { data: null, error: 'The input array is missing or contains non-numbers.' };
+  }
+  if (file.input.length > MAX_ARRAY_SIZE) {
+    return { data: null, error: `At most ${MAX_ARRAY_SIZE} values are supported (got ${file.input.length}).` };
+  }
+  if (!Array.isArray(file.operations)) {
+    return { data: null, error: 'The operations list is missing.' };
+  }
+  const order = file.order ?? null;
+  if (order !== null && !isValidOrder(order)) {
+    return { data: null, error: 'Unknown sort order in this file.' };
+  }
+
+  // 3. REPLAY the operations
+  const { pseudocode } = ALGORITHMS.find((algorithm) => algorithm.id === file.algorithm);
+  const result = decodeOperations(file.input, file.operations, order, pseudocode);
+  if (result.error) return { data: null, error: result.error };
+
+  // 4. CHECK the swaps led to the saved result
+  const finalArray = result.history.getArray(result.history.length - 1);
+  if (!isElementArray(file.result) || file.result.length !== finalArray.length ||
+    file.result.some((item, i) => describeElement(item) !== describeElement(finalArray[i]))) {
+    return { data: null, error: 'The swaps in this file do not produce its saved result array.' };
+  }
+
+  return {
+    data: { algorithmId: file.algorithm, input: [...file.input], history: result.history },
+    error: null
+  };
+}
+
+/**
+ * Replays operations onto an input array, validating each one.
+ * @param {number[]} input - Starting array.
+ * @param {Array[]} operations - [op, indices, pass, line, vars] entries.
+ * @param {object|null} order - The sort order the run used (comparators.js).
+ * @param {{id: string}[]} pseudocode - The algorithm's lines; other 'line' values are dropped.
+ * @returns {{history: SortHistory|null, error: string|null}}
+ */
+function decodeOperations(input, operations, order, pseudocode) {
+  const n = input.length;
+  const lineIds = new Set(pseudocode.map((entry) => entry.id));
+  const isIndex = (value) => Number.isInteger(value) && value >= 0 && value < n;
+  const history = new SortHistory(input, { order });
+  const sorted = new Uint8Array(n); // Finalized so far (each index only once)
+
+  for (let k = 0; k < operations.length; k++) {
+    const operation = operations[k];
+    const where = `Operation ${k + 1}`;
+
+    if (!Array.isArray(operation)) {
+      return { history: null, error: `${where} is not a list.` };
+    }
+
+    const [op, indices, pass = 0, line = null, vars = {}] = operation;
+    // Own keys only: "toString" or "constructor" are not operations
+    const type = Object.hasOwn(OP_TO_TYPE, op) ? OP_TO_TYPE[op] : undefined;
+
+    if (!type) {
+      return { history: null, error: `${where} has unknown type "${op}".` };
+    }
+    if (!Array.isArray(indices) || indices.length === 0 || !indices.every(isIndex)) {
+      return { history: null, error: `${where} has indices outside 0..${n - 1}.` };
+    }
+
+    let code;
+    if (type === 'comparison' || type === 'swap') {
+      if (indices.length !== 2 || indices[0] === indices[1]) {
+        return { history: null, error: `${where} must name two different indices.` };
+      }
+      code = type === 'swap' ? OP_SWAP : OP_COMPARE;
+    } else if (indices.length === 1) {
+      if (sorted[indices[0]]) {
+        return { history: null, error: `${where} finalizes index ${indices[0]}, which is already sorted.` };
+      }
+      code = OP_FINALIZE;
+    } else if (indices.length === n && new Set(indices).size === n) {
+      if (sorted.every(Boolean)) {
+        return { history: null, error: `${where} finalizes every index, but all are already sorted.` };
+      }
+      code = OP_FINALIZE_ALL;
+    } else {
+      return { history: null, error: `${where} must finalize one index or all of them.` };
+    }
+    if (code === OP_FINALIZE) sorted[indices[0]] = 1;
+    if (code === OP_FINALIZE_ALL) sorted.fill(1);
+
+    history.record(
+      code,
+      indices[0],
+      code === OP_COMPARE || code === OP_SWAP ? indices[1] : 0,
+      Number.isInteger(pass) && pass >= 0 ? pass : 0,
+      lineIds.has(line) ? line : null,
+      vars && typeof vars === 'object' && !Array.isArray(vars) ? vars : {}
+    );
+  }
+
+  return { history, error: null };
+}
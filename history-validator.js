@@ -0,0 +1,141 @@
+/**
+ * Checks a history frame by frame against rules every sort in this app must
+ * follow, so a generator bug (a swap that moves nothing, an early exit that
+ * finalizes too soon...) is caught by the tests instead of by a student.
+ * Pure logic (no DOM); used by the test suite in test/.
+ */
+
+import { createComparator, isInOrder } from "./comparators.js";
+
+// Enough to see what went wrong without flooding a test report
+const MAX_ERRORS = 20;
+
+/**
+ * Counts how often each element appears (labeled records count by identity).
+ * @param {Array} array
+ * @returns {Map<*, number>}
+ */
+function countElements(array) {
+  const counts = new Map();
+  array.forEach((element) => counts.set(element, (counts.get(element) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Is an array the input in another order? (Same elements, each as often.)
+ * @param {Array} array - A frame's array.
+ * @param {Map<*, number>} expected - countElements(input).
+ * @returns {boolean}
+ */
+function isPermutationOf(array, expected) {
+  const counts = countElements(array);
+  if (counts.size !== expected.size) return false;
+  for (const [element, count] of counts) {
+    if (expected.get(element) !== count) return false;
+  }
+  return true;
+}
+
+/**
+ * Validates every frame of a complete history.
+ * - Each frame's array is a permutation of the input.
+ * - A swap exchanges exactly its two positions (an out-of-order pair), and
+ *   nothing else ever moves.
+ * - Sorted positions only ever get added, and their element never moves again.
+ * - The last frame is in order (the run's sort order) with every position sorted.
+ * @param {SortHistory} history - From a history generator (history.js).
+ * @returns {{valid: boolean, errors: string[]}} - The first few problems, e.g.
+ *   "Step 12: finalized position 4 changed."
+ */
+export function validateHistory(history) {
+  const errors = [];
+  const fail = (step, message) => {
+    if (errors.length < MAX_ERRORS) errors.push(`Step ${step}: ${message}`);
+  };
+
+  const n = history.size;
+  const compare = createComparator(history.order);
+  const expected = countElements(history.input);
+  const isPosition = (index) => Number.isInteger(index) && index >= 0 && index < n;
+
+  // Element (input index) fixed at each sorted position, -1 = not sorted yet
+  const locked = new Int32Array(n).fill(-1);
+
+  let previous = null;
+  for (let step = 0; step < history.length; step++) {
+    const frame = history.getFrame(step);
+    const { array, ids, indices, sortedIndices } = frame;
+
+    // 1. PERMUTATION: the same elements as the input (ids say which is which)
+    if (array.length !== n || !isPermutationOf(array, expected)) {
+      fail(step, 'the array is not a permutation of the input.');
+    }
+    if (ids.some((id, i) => history.input[id] !== array[i])) {
+      fail(step, 'the array does not match the elements it claims to hold.');
+    }
+
+    // 2. START: the input itself, nothing sorted
+    if (step === 0) {
+      if (frame.type !== 'initial') fail(step, `the first frame is '${frame.type}', not 'initial'.`);
+      if (array.some((element, i) => element !== history.input[i])) fail(step, 'the first frame is not the input.');
+      if (sortedIndices.length > 0) fail(step, 'positions are sorted before the sort started.');
+    }
+
+    // 3. MOVES: only a swap moves elements, and only its own two
+    if (previous) {
+      const [a, b] = indices;
+      const isSwap = frame.type === 'swap';
+
+      if ((isSwap || frame.type === 'comparison') && (indices.length !== 2 || !isPosition(a) || !isPosition(b) || a === b)) {
+        fail(step, `${frame.type} of invalid positions [${indices.join(', ')}].`);
+      } else if (isSwap) {
+        if (ids[a] !== previous.ids[b] || ids[b] !== previous.ids[a]) {
+          fail(step, `the swap did not exchange positions ${a} and ${b}.`);
+        }
+        const [low, high] = a < b ? [a, b] : [b, a];
+        if (compare(previous.array[low], previous.array[high]) <= 0) {
+          fail(step, `swapped positions ${low} and ${high}, which were already in order.`);
+        }
+      }
+
+      for (let i = 0; i < n; i++) {
+        if (isSwap && (i === a || i === b)) continue;
+        if (ids[i] !== previous.ids[i]) {
+          fail(step, `position ${i} changed during a '${frame.type}' step.`);
+          break;
+        }
+      }
+    }
+
+    // 4. SORTED: positions are only added (valid, once each) and never move again
+    const before = previous ? previous.sortedIndices : [];
+    if (sortedIndices.length < before.length || before.some((index, k) => sortedIndices[k] !== index)) {
+      fail(step, 'a sorted position was taken back.');
+    }
+    if (new Set(sortedIndices).size !== sortedIndices.length) fail(step, 'a position was sorted twice.');
+    if (frame.type === 'finalized' && sortedIndices.length === before.length) {
+      fail(step, 'a finalize step sorted no new position.');
+    }
+    sortedIndices.forEach((index) => {
+      if (!isPosition(index)) {
+        fail(step, `sorted position ${index} does not exist.`);
+      } else if (locked[index] === -1) {
+        locked[index] = ids[index];
+      } else if (locked[index] !== ids[index]) {
+        fail(step, `finalized position ${index} changed.`);
+        locked[index] = ids[index]; // Report each move once
+      }
+    });
+
+    previous = frame;
+  }
+
+  // 5. END: in order, everything sorted
+  const lastStep = history.length - 1;
+  if (!isInOrder(previous.array, compare)) fail(lastStep, 'the last frame is not in order.');
+  if (previous.sortedIndices.length !== n) {
+    fail(lastStep, `only ${previous.sortedIndices.length} of ${n} positions are sorted at the end.`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
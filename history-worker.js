@@ -0,0 +1,43 @@
+/**
+ * Module worker that generates sorting histories off the main thread.
+ * Steps are streamed back in batches so playback can start early;
+ * the page cancels a job by terminating the worker.
+ *
+ * In:  { algorithmId, array, order }
+ * Out: { type: 'chunk', chunk, progress } ... then { type: 'done' } (or { type: 'error', message })
+ */
+
+import { getAlgorithm } from "./algorithms.js";
+
+// Steps per message: big enough to keep messaging cheap, small enough to arrive fast
+const CHUNK_STEPS = 50000;
+
+// Posts a batch, transferring its typed arrays instead of copying them
+function postChunk(history, progress) {
+  const chunk = history.takeSteps();
+  if (chunk.count === 0) return;
+
+  const transfer = [chunk.types, chunk.first, chunk.second, chunk.passes, chunk.lines, chunk.varSlots]
+    .map((column) => column.buffer);
+  self.postMessage({ type: 'chunk', chunk, progress }, transfer);
+}
+
+self.onmessage = (event) => {
+  const { algorithmId, array, order } = event.data;
+
+  try {
+    const algorithm = getAlgorithm(algorithmId);
+    const history = algorithm.generateHistory(array, {
+      order,
+      streaming: true,
+      flushEvery: CHUNK_STEPS,
+      onFlush: postChunk
+    });
+
+    // Whatever is left after the last full batch
+    postChunk(history, 1);
+    self.postMessage({ type: 'done' });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,455 @@
+/**
+ * Compact storage for sorting histories.
+ * Instead of keeping a full frame object (and array copy) per step, a history
+ * stores one small operation per step — compare(a, b), swap(a, b),
+ * finalize(k) — in typed arrays, plus a snapshot of the array order every
+ * few thousand steps ("checkpoints"). getFrame(step) rebuilds any frame by
+ * starting at the nearest checkpoint and replaying the operations after it.
+ */
+
+// Operation codes (one byte per step)
+export const OP_INITIAL = 0;
+export const OP_COMPARE = 1;
+export const OP_SWAP = 2;
+export const OP_FINALIZE = 3;     // One index joins the sorted list
+export const OP_FINALIZE_ALL = 4; // Every remaining index joins (end of sort / early exit)
+
+// Frame 'type' for each operation code
+const TYPE_NAMES = ['initial', 'comparison', 'swap', 'finalized', 'finalized'];
+
+// Loop variables are stored in a few integer slots per step
+const MAX_VARS = 4;
+
+// The lines column is a Uint8Array, so id 255 is the last one it can hold
+const MAX_LINE_IDS = 256;
+
+// Longest history kept in memory. A step costs about 15 bytes (1 type, 2 + 2
+// indices, 1 line, 4 x 2 vars, plus its share of the checkpoints), so this is
+// roughly 120 MB: bubble sort gets there on about 3,000 random values.
+export const MAX_HISTORY_STEPS = 8000000;
+
+export class SortHistory {
+  /**
+   * Starts a history at its 'initial' frame.
+   * @param {Array} input - The unsorted array (never modified).
+   * @param {object} [options]
+   * @param {number} [options.checkpointInterval] - Steps between snapshots
+   *   (default: max(1024, 4n), so snapshots cost about one byte per step).
+   * @param {boolean} [options.streaming=false] - Record-only mode for the worker:
+   *   steps are handed off with takeSteps() and cannot be read back.
+   * @param {object|null} [options.order=null] - The { comparator, direction } the run
+   *   sorts by (comparators.js); null = ascending values.
+   */
+  constructor(input, { checkpointInterval, streaming = false, order = null } = {}) {
+    this.input = [...input];
+    this.size = this.input.length;
+    this.order = order;
+    this.checkpointInterval = checkpointInterval || Math.max(1024, 4 * this.size);
+    this.streaming = streaming;
+
+    // Number of frames (step 0 is the 'initial' frame)
+    this.length = 1;
+
+    // First step still held in the columns (moves forward in streaming mode,
+    // where the 'initial' frame is never handed off, so batches start at step 1)
+    this.offset = streaming ? 1 : 0;
+
+    // Column types: 2 bytes per index and per loop variable whenever the array
+    // is small enough (vars are indices, counters and flags, so they fit too)
+    this.IndexArray = this.size < 0x10000 ? Uint16Array : Uint32Array;
+    this.VarArray = this.size < 0x7fff ? Int16Array : Int32Array;
+    this.noValue = this.VarArray === Int16Array ? -0x8000 : -0x80000000; // Type minimum marks an empty slot
+
+    // Per-step columns (grown by half when full)
+    this.capacity = 1024;
+    this.types = new Uint8Array(this.capacity);
+    this.first = new this.IndexArray(this.capacity);   // a / finalized index
+    this.second = new this.IndexArray(this.capacity);  // b / how many indices a finalize added
+    this.lines = new Uint8Array(this.capacity);
+    this.varSlots = new this.VarArray(this.capacity * MAX_VARS).fill(this.noValue);
+
+    // Pass numbers change rarely, so they are kept as runs:
+    // passValues[r] holds from step passStarts[r] until the next run starts
+    this.passStarts = [0];
+    this.passValues = [0];
+
+    // Lookup tables for the compact columns
+    this.lineIds = [null];   // lines[step] indexes this (0 = no line)
+    this.varNames = [];      // Slot k holds varNames[k]
+    this.varKinds = [];      // 'number' | 'boolean' | 'string'
+    this.strings = [];       // String values of 'string' vars
+
+    // Finalize events only ever append, so one list serves every frame:
+    // sortedIndices at any step = sortedOrder.slice(0, sortedCount)
+    this.sortedOrder = [];
+
+    // Live state while recording: where each input element currently sits
+    this.livePerm = this.IndexArray.from({ length: this.size }, (_, i) => i);
+    this.liveSortedMask = new Uint8Array(this.size);
+
+    // Snapshot k describes step k * checkpointInterval
+    this.checkpoints = [{ perm: this.livePerm.slice(), sortedCount: 0 }];
+
+    // Replay position reused by sequential getFrame calls (playback)
+    this.cursor = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  //  Recording
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Appends one step.
+   * @param {number} op - OP_COMPARE, OP_SWAP, OP_FINALIZE or OP_FINALIZE_ALL.
+   * @param {number} a - First index (finalized index for OP_FINALIZE).
+   * @param {number} b - Second index (unused for finalize ops).
+   * @param {number} pass - 1-based pass number.
+   * @param {string|null} line - Pseudocode line id.
+   * @param {object} vars - Loop variables (small integers, booleans or short strings).
+   */
+  record(op, a, b, pass, line, vars) {
+    const step = this.length;
+    if (step === MAX_HISTORY_STEPS) {
+      throw new RangeError(`This run needs more than ${MAX_HISTORY_STEPS.toLocaleString('en-US')} steps, ` +
+        'more than fit in memory. Try a smaller array or another algorithm.');
+    }
+    const slot = this.reserveSlot();
+
+    // Apply to the live state (finalize ops store how many indices they added)
+    const gain = this.applyLive(op, a, b);
+    if (op === OP_FINALIZE || op === OP_FINALIZE_ALL) b = gain;
+    if (op === OP_FINALIZE_ALL) a = 0;
+
+    this.types[slot] = op;
+    this.first[slot] = a;
+    this.second[slot] = b;
+    this.setPass(step, pass);
+    this.lines[slot] = this.internLine(line);
+    this.encodeVars(slot, vars);
+    this.length++;
+
+    this.checkpointIfDue(step);
+  }
+
+  /**
+   * Appends steps produced by another (streaming) history, e.g. in a worker.
+   * @param {object} chunk - From takeSteps().
+   */
+  appendSteps(chunk) {
+    // Lookup tables only ever grow, so the newest copy covers every step
+    this.lineIds = [...chunk.lineIds];
+    this.varNames = [...chunk.varNames];
+    this.varKinds = [...chunk.varKinds];
+    this.strings = [...chunk.strings];
+
+    for (let k = 0; k < chunk.count; k++) {
+      const step = this.length;
+      const slot = this.reserveSlot();
+      const op = chunk.types[k];
+
+      this.types[slot] = op;
+      this.first[slot] = chunk.first[k];
+      this.second[slot] = chunk.second[k];
+      this.setPass(step, chunk.passes[k]);
+      this.lines[slot] = chunk.lines[k];
+      for (let v = 0; v < MAX_VARS; v++) {
+        this.varSlots[slot * MAX_VARS + v] = chunk.varSlots[k * MAX_VARS + v];
+      }
+
+      this.applyLive(op, chunk.first[k], chunk.second[k]);
+      this.length++;
+      this.checkpointIfDue(step);
+    }
+  }
+
+  /**
+   * Hands off every step recorded since the last call (streaming mode only).
+   * The typed arrays in the result can be transferred to another thread.
+   * @returns {object} - Chunk for appendSteps().
+   */
+  takeSteps() {
+    const count = this.length - this.offset;
+
+    // Spell the pass runs out per step for the chunk, then keep only the current run
+    const passes = new Uint32Array(count);
+    for (let r = 0; r < this.passStarts.length; r++) {
+      const start = Math.max(this.passStarts[r] - this.offset, 0);
+      const end = r + 1 < this.passStarts.length ? this.passStarts[r + 1] - this.offset : count;
+      passes.fill(this.passValues[r], start, end);
+    }
+    this.passStarts = this.passStarts.slice(-1);
+    this.passValues = this.passValues.slice(-1);
+
+    const chunk = {
+      from: this.offset,
+      count,
+      types: this.types.slice(0, count),
+      first: this.first.slice(0, count),
+      second: this.second.slice(0, count),
+      passes,
+      lines: this.lines.slice(0, count),
+      varSlots: this.varSlots.slice(0, count * MAX_VARS),
+      lineIds: [...this.lineIds],
+      varNames: [...this.varNames],
+      varKinds: [...this.varKinds],
+      strings: [...this.strings]
+    };
+
+    // Reuse the columns for the next batch
+    this.varSlots.fill(this.noValue, 0, count * MAX_VARS);
+    this.offset = this.length;
+
+    return chunk;
+  }
+
+  // Column index for the next step (grows the columns when full)
+  reserveSlot() {
+    const slot = this.length - this.offset;
+    if (slot === this.capacity) this.grow();
+    return slot;
+  }
+
+  // Moves the live state forward by one operation; returns indices newly sorted
+  applyLive(op, a, b) {
+    if (op === OP_SWAP) {
+      const temp = this.livePerm[a];
+      this.livePerm[a] = this.livePerm[b];
+      this.livePerm[b] = temp;
+      return 0;
+    }
+    if (op === OP_FINALIZE) return this.markSorted(a);
+    if (op === OP_FINALIZE_ALL) {
+      let gain = 0;
+      for (let k = 0; k < this.size; k++) gain += this.markSorted(k);
+      return gain;
+    }
+    return 0;
+  }
+
+  // Starts a new pass run when the pass number changes
+  setPass(step, pass) {
+    if (pass !== this.passValues[this.passValues.length - 1]) {
+      this.passStarts.push(step);
+      this.passValues.push(pass);
+    }
+  }
+
+  // Snapshot every checkpointInterval steps (not needed when streaming)
+  checkpointIfDue(step) {
+    if (!this.streaming && step % this.checkpointInterval === 0) {
+      this.checkpoints.push({ perm: this.livePerm.slice(), sortedCount: this.sortedOrder.length });
+    }
+  }
+
+  // Adds an index to the sorted list (returns 1 if it was new)
+  markSorted(index) {
+    if (this.liveSortedMask[index]) return 0;
+    this.liveSortedMask[index] = 1;
+    this.sortedOrder.push(index);
+    return 1;
+  }
+
+  // Grows every column by half (doubling would leave up to half of a huge history unused)
+  grow() {
+    const capacity = Math.ceil(this.capacity * 1.5);
+    const resize = (column, size) => {
+      const bigger = new column.constructor(size);
+      bigger.set(column);
+      return bigger;
+    };
+
+    this.types = resize(this.types, capacity);
+    this.first = resize(this.first, capacity);
+    this.second = resize(this.second, capacity);
+    this.lines = resize(this.lines, capacity);
+
+    const varSlots = new this.VarArray(capacity * MAX_VARS).fill(this.noValue);
+    varSlots.set(this.varSlots);
+    this.varSlots = varSlots;
+
+    this.capacity = capacity;
+  }
+
+  internLine(line) {
+    if (line === null || line === undefined) return 0;
+    let id = this.lineIds.indexOf(line);
+    if (id === -1) {
+      if (this.lineIds.length === MAX_LINE_IDS) return 0; // Out of ids: no line
+      id = this.lineIds.push(line) - 1;
+    }
+    return id;
+  }
+
+  encodeVars(slot, vars) {
+    Object.entries(vars || {}).forEach(([name, value]) => {
+      let varIndex = this.varNames.indexOf(name);
+      if (varIndex === -1) {
+        if (this.varNames.length === MAX_VARS) return; // Out of slots: skip extras
+        varIndex = this.varNames.push(name) - 1;
+        this.varKinds.push(typeof value);
+      }
+
+      let encoded;
+      if (typeof value === 'boolean') {
+        encoded = value ? 1 : 0;
+      } else if (typeof value === 'string') {
+        encoded = this.strings.indexOf(value);
+        if (encoded === -1) encoded = this.strings.push(value) - 1;
+      } else {
+        encoded = value | 0;
+        if (encoded <= this.noValue || encoded > -this.noValue - 1) return; // Too big for the column: skip
+      }
+      this.varSlots[slot * MAX_VARS + varIndex] = encoded;
+    });
+  }
+
+  decodeVars(step) {
+    const vars = {};
+    for (let varIndex = 0; varIndex < this.varNames.length; varIndex++) {
+      const encoded = this.varSlots[step * MAX_VARS + varIndex];
+      if (encoded === this.noValue) continue;
+
+      const name = this.varNames[varIndex];
+      const kind = this.varKinds[varIndex];
+      if (kind === 'boolean') vars[name] = encoded === 1;
+      else if (kind === 'string') vars[name] = this.strings[encoded];
+      else vars[name] = encoded;
+    }
+    return vars;
+  }
+
+  // ---------------------------------------------------------------------------
+  //  Cheap per-step lookups (no array rebuilding; not for streaming histories)
+  // ---------------------------------------------------------------------------
+
+  // Frame type at a step: 'initial' | 'comparison' | 'swap' | 'finalized'
+  getType(step) {
+    return TYPE_NAMES[this.types[step]];
+  }
+
+  // Raw operation code at a step (OP_*)
+  getOp(step) {
+    return this.types[step];
+  }
+
+  // Indices touched at a step, same as frame.indices
+  getIndices(step) {
+    const op = this.types[step];
+    if (op === OP_COMPARE || op === OP_SWAP) return [this.first[step], this.second[step]];
+    if (op === OP_FINALIZE) return [this.first[step]];
+    if (op === OP_FINALIZE_ALL) return Array.from({ length: this.size }, (_, idx) => idx);
+    return [];
+  }
+
+  // How many indices a finalize step added to the sorted list (0 for other steps)
+  getSortedGain(step) {
+    const op = this.types[step];
+    return op === OP_FINALIZE || op === OP_FINALIZE_ALL ? this.second[step] : 0;
+  }
+
+  getPass(step) {
+    // Binary search for the last run starting at or before the step
+    let low = 0;
+    let high = this.passStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (this.passStarts[middle] <= step) low = middle;
+      else high = middle - 1;
+    }
+    return this.passValues[low];
+  }
+
+  getLine(step) {
+    return this.lineIds[this.lines[step]];
+  }
+
+  getVars(step) {
+    return this.decodeVars(step);
+  }
+
+  // ---------------------------------------------------------------------------
+  //  Random access
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Rebuilds the full frame for a step, in the same shape the generators
+   * used to store: { type, index?, indices, array, sortedIndices, pass, line, vars },
+   * plus 'ids': which input element sits at each position (ids[i] = k means
+   * array[i] is input[k]), so renderers can follow equal values apart.
+   * @param {number} step - 0 .. length - 1.
+   * @returns {object|undefined} - The frame, or undefined when out of range.
+   */
+  getFrame(step) {
+    if (!(step >= 0 && step < this.length)) return undefined;
+
+    const { perm, sortedCount } = this.seek(step);
+    const op = this.types[step];
+
+    // Values in their current order
+    const array = new Array(this.size);
+    for (let i = 0; i < this.size; i++) array[i] = this.input[perm[i]];
+
+    const frame = { type: TYPE_NAMES[op] };
+    if (op === OP_FINALIZE) frame.index = this.first[step];
+    if (op === OP_FINALIZE_ALL) frame.index = 0;
+    frame.indices = this.getIndices(step);
+    frame.array = array;
+    frame.ids = Array.from(perm);
+    frame.sortedIndices = this.sortedOrder.slice(0, sortedCount);
+    frame.pass = this.getPass(step);
+    frame.line = this.getLine(step);
+    frame.vars = this.decodeVars(step);
+
+    return frame;
+  }
+
+  /**
+   * Moves the replay cursor to a step.
+   * Forward moves within one checkpoint interval continue from the cursor;
+   * anything else restarts from the nearest checkpoint at or before the step.
+   * @param {number} step - Target step.
+   * @returns {{step: number, perm: Uint16Array|Uint32Array, sortedCount: number}} - Cursor state.
+   */
+  seek(step) {
+    const interval = this.checkpointInterval;
+    let cursor = this.cursor;
+
+    if (!cursor || cursor.step > step || step - cursor.step > interval) {
+      const index = Math.floor(step / interval);
+      const checkpoint = this.checkpoints[index];
+      cursor = {
+        step: index * interval,
+        perm: checkpoint.perm.slice(),
+        sortedCount: checkpoint.sortedCount
+      };
+      this.cursor = cursor;
+    }
+
+    // Replay the operations between the cursor and the target
+    for (let s = cursor.step + 1; s <= step; s++) {
+      const op = this.types[s];
+      if (op === OP_SWAP) {
+        const a = this.first[s];
+        const b = this.second[s];
+        const temp = cursor.perm[a];
+        cursor.perm[a] = cursor.perm[b];
+        cursor.perm[b] = temp;
+      } else if (op === OP_FINALIZE || op === OP_FINALIZE_ALL) {
+        cursor.sortedCount += this.second[s];
+      }
+    }
+    cursor.step = step;
+
+    return cursor;
+  }
+
+  /**
+   * Values in their order at a step (without building the rest of the frame).
+   * @param {number} step - 0 .. length - 1.
+   * @returns {Array} - A fresh array.
+   */
+  getArray(step) {
+    const { perm } = this.seek(step);
+    return Array.from(perm, (k) => this.input[k]);
+  }
+}
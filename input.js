@@ -0,0 +1,85 @@
+/**
+ * Parses and validates arrays typed, pasted or imported by the user.
+ * Pure logic (no DOM), so the same rules apply to every input source.
+ */
+
+// Array size bounds shared by the size box, custom input, saved runs and the CLI
+export const MIN_ARRAY_SIZE = 5;
+export const MAX_ARRAY_SIZE = 10000;
+
+// Plain decimal numbers: "5", "-3.5", ".25", "1e3" (not "0x10", "0b11" or "")
+const DECIMAL_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Turns user text into an array of numbers.
+ * Accepts "5, 3, 8", "5 3 8", one value per line (CSV) or a JSON array "[5, 3, 8]".
+ * @param {string} text - Raw text from the textarea or an uploaded file.
+ * @returns {{values: number[]|null, error: string|null}} - Parsed values, or a message to show inline.
+ */
+export function parseArrayInput(text) {
+  // 1. EMPTY?
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    return { values: null, error: 'Please enter some numbers.' };
+  }
+
+  // 2. SPLIT into raw items
+  let items;
+  if (trimmed.startsWith('[')) {
+    // JSON array
+    try {
+      items = JSON.parse(trimmed);
+    } catch (err) {
+      return { values: null, error: 'That looks like JSON but could not be read. Check the brackets and commas.' };
+    }
+    if (!Array.isArray(items)) {
+      return { values: null, error: 'JSON input must be an array, e.g. [5, 3, 8].' };
+    }
+  } else {
+    // Comma, semicolon, space or newline separated (covers simple CSV files)
+    items = trimmed.split(/[\s,;]+/).filter((item) => item !== '');
+  }
+
+  // 3. CHECK each item is a finite number
+  const values = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    // Strings must be written as decimals (Number() alone would turn " " into 0 and "0x10" into 16)
+    const isDecimal = typeof item === 'string' && DECIMAL_PATTERN.test(item.trim());
+    const value = typeof item === 'number' ? item : isDecimal ? Number(item) : NaN;
+
+    if (!Number.isFinite(value)) {
+      return { values: null, error: `Item ${i + 1} (${JSON.stringify(item)}) is not a number.` };
+    }
+    values.push(value);
+  }
+
+  // 4. CHECK the size bounds
+  if (values.length < MIN_ARRAY_SIZE) {
+    return { values: null, error: `Need at least ${MIN_ARRAY_SIZE} values (got ${values.length}).` };
+  }
+  if (values.length > MAX_ARRAY_SIZE) {
+    return { values: null, error: `At most ${MAX_ARRAY_SIZE} values are supported (got ${values.length}).` };
+  }
+
+  return { values, error: null };
+}
+
+/**
+ * Reads an uploaded .csv / .json file and parses it like typed text.
+ * @param {File} file - File picked in the upload input.
+ * @returns {Promise<{values: number[]|null, error: string|null}>} - Same result shape as parseArrayInput.
+ */
+export async function parseArrayFile(file) {
+  if (!/\.(csv|json|txt)$/i.test(file.name)) {
+    return { values: null, error: `"${file.name}" is not a .csv or .json file.` };
+  }
+
+  let text;
+  try {
+    text = await file.text();
+  } catch (err) {
+    return { values: null, error: `"${file.name}" could not be read.` };
+  }
+  return parseArrayInput(text);
+}
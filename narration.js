@@ -0,0 +1,69 @@
+/**
+ * Plain-language descriptions of frames for screen readers (an aria-live
+ * region), with a rate limit so fast playback is summarized instead of read
+ * out step by step.
+ */
+
+import { describeElement } from "./records.js";
+
+/**
+ * Describes what a frame shows.
+ * @param {object} frame - From history.getFrame().
+ * @returns {string} - e.g. "Comparing 42 at position 3 with 17 at position 4."
+ */
+export function describeFrame(frame) {
+  const [a, b] = frame.indices;
+
+  switch (frame.type) {
+    case 'comparison':
+      return `Comparing ${describeElement(frame.array[a])} at position ${a} ` +
+        `with ${describeElement(frame.array[b])} at position ${b}.`;
+    case 'swap':
+      // The frame shows the array after the swap
+      return `Swapped: ${describeElement(frame.array[a])} is now at position ${a}, ` +
+        `${describeElement(frame.array[b])} at position ${b}.`;
+    case 'finalized':
+      return frame.indices.length === 1
+        ? `Position ${frame.index} is now sorted.`
+        : 'All remaining positions are now sorted.';
+    default:
+      return `Start: ${frame.array.length} values, none sorted yet.`;
+  }
+}
+
+/**
+ * Short progress report used instead of describeFrame() during fast playback.
+ * @param {object} frame - The frame on screen.
+ * @param {number} step - Its step number.
+ * @param {number} lastStep - Last step of the run.
+ * @returns {string} - e.g. "Step 120 of 400, pass 6: 5 of 20 positions sorted."
+ */
+export function describeProgress(frame, step, lastStep) {
+  return `Step ${step} of ${lastStep}, pass ${frame.pass}: ` +
+    `${frame.sortedIndices.length} of ${frame.array.length} positions sorted.`;
+}
+
+/**
+ * Wraps a live region.
+ * @param {HTMLElement} region - Element with aria-live set.
+ * @param {object} [options]
+ * @param {number} [options.summaryGapMs=2000] - Shortest time between two summaries.
+ * @returns {{say: function(string): void, summarize: function(function(): string): void}}
+ *   say() speaks at once; summarize() only when the last summary is old enough
+ *   (the text is built only then).
+ */
+export function createNarrator(region, { summaryGapMs = 2000 } = {}) {
+  let lastSummary = -Infinity;
+
+  return {
+    say(text) {
+      region.textContent = text;
+    },
+    summarize(makeText) {
+      const now = performance.now();
+      if (now - lastSummary < summaryGapMs) return;
+      lastSummary = now;
+      region.textContent = makeText();
+    }
+  };
+}
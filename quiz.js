@@ -0,0 +1,142 @@
+/**
+ * "Predict the next move" quiz: questions built from a finished history,
+ * scoring, and the scores kept in localStorage between visits.
+ * No DOM here; the controller shows the questions and reveals the answers.
+ */
+
+import { OP_COMPARE, OP_SWAP, OP_FINALIZE, OP_FINALIZE_ALL } from "./history.js";
+import { isPassEnd } from "./timeline.js";
+import { describeElement } from "./records.js";
+
+// localStorage entry holding past sessions (newest first)
+const SCORES_KEY = 'bubble-sort-visualizer/quiz-scores';
+const MAX_SAVED_SCORES = 10;
+
+/**
+ * Lists the questions to ask while a step is on screen, in order.
+ * - Comparison frames: "swap or no swap?" (answered by the step after it)
+ * - The start of each pass: "which position is finalized next?" (skipped when the
+ *   next finalize is a finalize-all, where every remaining position is right)
+ * @param {SortHistory} history - A complete history.
+ * @param {number} step - The step being shown.
+ * @returns {object[]} - { kind: 'swap', step, indices, values, answer: boolean }
+ *   and / or { kind: 'finalize', step, answer: number }.
+ */
+export function getQuestions(history, step) {
+  const questions = [];
+  if (step >= history.length - 1) return questions;
+
+  // 1. SWAP OR NOT: does the next step swap this same pair?
+  if (history.getOp(step) === OP_COMPARE) {
+    const indices = history.getIndices(step);
+    const next = history.getIndices(step + 1);
+    const frame = history.getFrame(step);
+    questions.push({
+      kind: 'swap',
+      step,
+      indices,
+      values: indices.map((idx) => frame.array[idx]),
+      answer: history.getOp(step + 1) === OP_SWAP && next[0] === indices[0] && next[1] === indices[1]
+    });
+  }
+
+  // 2. NEXT FINALIZED: asked before the first pass and after each pass ends
+  if (step === 0 || isPassEnd(history, step)) {
+    for (let s = step + 1; s < history.length; s++) {
+      const op = history.getOp(s);
+      if (op === OP_FINALIZE) questions.push({ kind: 'finalize', step, answer: history.getIndices(s)[0] });
+      if (op === OP_FINALIZE || op === OP_FINALIZE_ALL) break;
+    }
+  }
+
+  return questions;
+}
+
+/**
+ * The question as shown to the student.
+ * @param {object} question - From getQuestions().
+ * @returns {string}
+ */
+export function describeQuestion(question) {
+  if (question.kind === 'swap') {
+    const [a, b] = question.indices;
+    const [x, y] = question.values.map(describeElement);
+    return `Comparing ${x} at position ${a} with ${y} at position ${b}. Swap or no swap?`;
+  }
+  return 'A new pass starts. Which position will be finalized next?';
+}
+
+/**
+ * Starts an empty session.
+ * @param {string} algorithm - Algorithm name (for the saved score).
+ * @param {number} size - Array size (for the saved score).
+ * @returns {object} - { algorithm, size, asked, correct, streak, bestStreak, mistakes }
+ */
+export function createQuizSession(algorithm, size) {
+  return { algorithm, size, asked: 0, correct: 0, streak: 0, bestStreak: 0, mistakes: [] };
+}
+
+/**
+ * Scores one answer and updates the session (mistakes remember their step).
+ * @param {object} session - From createQuizSession() (mutated).
+ * @param {object} question - From getQuestions().
+ * @param {boolean|number} choice - true / false for swap questions, a position for finalize ones.
+ * @returns {{correct: boolean, message: string}} - Feedback to show.
+ */
+export function answerQuestion(session, question, choice) {
+  const correct = choice === question.answer;
+
+  // What really happens next, in words
+  let truth;
+  if (question.kind === 'swap') {
+    const [x, y] = question.values.map(describeElement);
+    truth = question.answer ? `${x} and ${y} swap` : `${x} and ${y} stay where they are`;
+  } else {
+    truth = `position ${question.answer} is finalized next`;
+  }
+
+  session.asked++;
+  if (correct) {
+    session.correct++;
+    session.streak++;
+    session.bestStreak = Math.max(session.bestStreak, session.streak);
+    return { correct, message: `Correct: ${truth}.` };
+  }
+
+  session.streak = 0;
+  const guess = question.kind === 'swap' ? (choice ? 'swap' : 'no swap') : `position ${choice}`;
+  session.mistakes.push({ step: question.step, text: `Step ${question.step}: you said ${guess}, but ${truth}.` });
+  return { correct, message: `Not quite: ${truth}.` };
+}
+
+/**
+ * Reads past sessions (an empty list if storage is missing, blocked or corrupt).
+ * @returns {object[]} - { date, algorithm, size, asked, correct, bestStreak }, newest first.
+ */
+export function loadQuizScores() {
+  try {
+    const scores = JSON.parse(localStorage.getItem(SCORES_KEY));
+    return Array.isArray(scores) ? scores : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Saves a finished session on top of the stored list (keeps the newest few).
+ * @param {object} session - From createQuizSession().
+ * @returns {object[]} - The updated list, newest first.
+ */
+export function saveQuizScore(session) {
+  const { algorithm, size, asked, correct, bestStreak } = session;
+  const scores = [{ date: new Date().toISOString(), algorithm, size, asked, correct, bestStreak }, ...loadQuizScores()]
+    .slice(0, MAX_SAVED_SCORES);
+
+  // Private browsing can refuse to store: the summary still shows this session
+  try {
+    localStorage.setItem(SCORES_KEY, JSON.stringify(scores));
+  } catch (err) {
+    // Nothing else to do
+  }
+  return scores;
+}
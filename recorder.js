@@ -0,0 +1,197 @@
+/**
+ * Records a sorting history as a WebM video or a zip of PNG frames.
+ * Frames are painted from scratch onto an off-screen canvas (not screenshots
+ * of the page), so the export looks the same whatever the window size.
+ */
+
+import { getValueRange } from "./display.js";
+import { paintFrame, COLORS } from "./canvas-renderer.js";
+import { createZip } from "./zip.js";
+
+// Output size (16:9, fits most slides and video players)
+const EXPORT_WIDTH = 1280;
+const EXPORT_HEIGHT = 720;
+
+// Browsers cannot show frames faster than this; shorter delays are rounded up
+const MIN_FRAME_MS = 1000 / 60;
+
+// Completion wave at the end: one sweep across the array, at 30 fps
+const WAVE_MS = 1000;
+const WAVE_FRAME_MS = 1000 / 30;
+
+// Size guards (every PNG stays in memory until the zip is built)
+const MAX_PNG_FRAMES = 2000;
+const MAX_VIDEO_SECONDS = 10 * 60;
+
+export const RECORD_FORMATS = [
+  { id: 'webm', name: 'WebM video' },
+  { id: 'png-zip', name: 'PNG frames (zip)' }
+];
+
+/**
+ * Picks the steps to record: every Nth one, always ending on the last.
+ * @param {number} length - history.length.
+ * @param {number} every - N (1 = every frame).
+ * @returns {number[]}
+ */
+function pickSteps(length, every) {
+  const steps = [];
+  for (let step = 0; step < length; step += every) steps.push(step);
+  if (steps[steps.length - 1] !== length - 1) steps.push(length - 1);
+  return steps;
+}
+
+/**
+ * Draws the step counter and the color legend in the top-left corner.
+ * @param {CanvasRenderingContext2D} ctx - Export canvas.
+ * @param {string} title - e.g. "Bubble Sort — Steps: 12 / 190".
+ */
+function paintOverlay(ctx, title) {
+  const legend = [
+    { label: 'Comparing', color: COLORS.comparing },
+    { label: 'Swapping', color: COLORS.swapping },
+    { label: 'Sorted', color: COLORS.sorted }
+  ];
+
+  // Dark box so the text reads over any bar
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(16, 16, 460, 76);
+
+  ctx.font = '20px "Courier New", monospace';
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = '#fff';
+  ctx.fillText(title, 28, 26);
+
+  // Swatch + label for each color
+  legend.forEach(({ label, color }, i) => {
+    const x = 28 + i * 150;
+    ctx.fillStyle = color;
+    ctx.fillRect(x, 60, 18, 18);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(label, x + 26, 58);
+  });
+}
+
+/**
+ * Yields every image the export needs: the chosen steps, then the completion wave.
+ * @param {SortHistory} history - The run.
+ * @param {number[]} steps - From pickSteps().
+ * @param {number} frameMs - How long each step image lasts.
+ * @returns {Generator<{step: number, wave: object|null, ms: number}>}
+ */
+function* exportTimeline(history, steps, frameMs) {
+  for (const step of steps) yield { step, wave: null, ms: frameMs };
+
+  // Same sweep as the canvas renderer: a band of lit bars crossing the array
+  const n = history.size;
+  const band = Math.max(1, Math.ceil(n / 20));
+  const waveFrames = Math.round(WAVE_MS / WAVE_FRAME_MS);
+  for (let k = 1; k <= waveFrames; k++) {
+    const head = Math.floor((k / waveFrames) * (n + band));
+    yield { step: history.length - 1, wave: { from: head - band, to: head }, ms: WAVE_FRAME_MS };
+  }
+}
+
+/**
+ * Records a history.
+ * @param {SortHistory} history - The run (history.js).
+ * @param {object} options
+ * @param {'webm'|'png-zip'} options.format - See RECORD_FORMATS.
+ * @param {number} options.every - Record every Nth step (1 = all of them).
+ * @param {number} options.stepMs - Playback delay per step (the speed setting).
+ * @param {string|null} options.title - Overlay heading (algorithm name), null = no overlay.
+ * @param {function(number): void} [options.onProgress] - Called with 0..1.
+ * @param {AbortSignal} [options.signal] - Stops the recording early.
+ * @returns {Promise<{blob: Blob|null, error: string|null}>}
+ */
+export async function recordHistory(history, { format, every, stepMs, title, onProgress = () => {}, signal }) {
+  const steps = pickSteps(history.length, every);
+  const frameMs = Math.max(MIN_FRAME_MS, stepMs * every);
+
+  // 1. CHECK: Supported, and not absurdly large?
+  const canvas = document.createElement('canvas');
+  canvas.width = EXPORT_WIDTH;
+  canvas.height = EXPORT_HEIGHT;
+
+  if (format === 'webm') {
+    if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+      return { blob: null, error: 'This browser cannot record video. Choose PNG frames instead.' };
+    }
+    const seconds = (steps.length * frameMs + WAVE_MS) / 1000;
+    if (seconds > MAX_VIDEO_SECONDS) {
+      return { blob: null, error: `That video would be ${Math.ceil(seconds / 60)} minutes long. Record every Nth frame or speed up.` };
+    }
+  } else if (steps.length > MAX_PNG_FRAMES) {
+    const needed = Math.ceil(history.length / MAX_PNG_FRAMES);
+    return { blob: null, error: `Too many frames (${steps.length}). Set "Every" to ${needed} or more.` };
+  }
+
+  // 2. PAINT: one image = background, bars, optional overlay
+  const ctx = canvas.getContext('2d');
+  const scale = getValueRange(history.input);
+  const lastStep = history.length - 1;
+  const paint = ({ step, wave }) => {
+    const frame = history.getFrame(step);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, EXPORT_WIDTH, EXPORT_HEIGHT);
+    paintFrame(ctx, frame, EXPORT_WIDTH, EXPORT_HEIGHT, scale, wave);
+    if (title !== null) paintOverlay(ctx, `${title} — Steps: ${step} / ${lastStep}`);
+  };
+
+  const images = [...exportTimeline(history, steps, frameMs)];
+
+  // 3a. VIDEO: show each image for its duration while MediaRecorder captures the canvas
+  if (format === 'webm') {
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const mimeType = MediaRecorder.isTypeSupported('video/webm;codecs=vp9') ? 'video/webm;codecs=vp9' : 'video/webm';
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, { mimeType });
+    } catch (err) {
+      track.stop();
+      return { blob: null, error: `This browser cannot record video here (${err.message}); try PNG frames.` };
+    }
+    const chunks = [];
+    recorder.ondataavailable = (event) => chunks.push(event.data);
+    const stopped = new Promise((resolve) => { recorder.onstop = resolve; });
+
+    paint(images[0]);
+    recorder.start();
+    for (let i = 0; i < images.length; i++) {
+      if (signal && signal.aborted) break;
+      paint(images[i]);
+      track.requestFrame();
+      onProgress((i + 1) / images.length);
+      await new Promise((resolve) => setTimeout(resolve, images[i].ms));
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+
+    if (signal && signal.aborted) return { blob: null, error: 'Recording cancelled.' };
+    return { blob: new Blob(chunks, { type: 'video/webm' }), error: null };
+  }
+
+  // 3b. PNG ZIP: numbered frames plus a note on their timing
+  const files = [];
+  const digits = String(images.length).length;
+  for (let i = 0; i < images.length; i++) {
+    if (signal && signal.aborted) return { blob: null, error: 'Recording cancelled.' };
+    paint(images[i]);
+    const png = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    if (!png) return { blob: null, error: `Frame ${i + 1} could not be saved as a PNG.` };
+    files.push({
+      name: `frame-${String(i).padStart(digits, '0')}.png`,
+      data: new Uint8Array(await png.arrayBuffer())
+    });
+    onProgress((i + 1) / images.length);
+  }
+
+  const fps = (1000 / frameMs).toFixed(2);
+  const timing = `${steps.length} step frames at ${frameMs.toFixed(1)} ms each (${fps} fps), ` +
+    `then ${images.length - steps.length} completion-wave frames at 30 fps.\n`;
+  files.push({ name: 'timing.txt', data: new TextEncoder().encode(timing) });
+
+  return { blob: createZip(files), error: null };
+}
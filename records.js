@@ -0,0 +1,94 @@
+/**
+ * Labeled records for stability demos.
+ * An element is either a plain number or a record { key, label }: sorting
+ * looks at the key only, the label ("A", "B"...) shows which of several equal
+ * keys came first in the input.
+ */
+
+// Tag colors by label letter (A, B, C...), repeating after the last one
+export const TAG_COLORS = ['#c0392b', '#2980b9', '#8e44ad', '#16a085', '#d35400', '#2c3e50'];
+
+/**
+ * The number an element is sorted by.
+ * @param {number|{key: number, label: string}} element - Plain value or record.
+ * @returns {number}
+ */
+export function keyOf(element) {
+  return typeof element === 'object' && element !== null ? element.key : element;
+}
+
+/**
+ * Color for a record's tag (null for plain numbers and unlabeled records).
+ * @param {number|{key: number, label: string}} element - Plain value or record.
+ * @returns {string|null}
+ */
+export function tagColorOf(element) {
+  if (typeof element !== 'object' || element === null || !element.label) return null;
+  return TAG_COLORS[(element.label.charCodeAt(0) - 65) % TAG_COLORS.length];
+}
+
+/**
+ * Turns numbers into records, tagging equal values A, B, C... in input order.
+ * Values that appear only once get an empty label.
+ * @param {number[]} values - e.g. [5, 3, 5, 1, 3].
+ * @returns {{key: number, label: string}[]} - e.g. 5A, 3A, 5B, 1, 3B.
+ */
+export function labelDuplicates(values) {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+
+  const seen = new Map();
+  return values.map((value) => {
+    const k = seen.get(value) || 0;
+    seen.set(value, k + 1);
+
+    // A..Z, then A1..Z1 for very long runs of one value
+    const letter = String.fromCharCode(65 + (k % 26)) + (k >= 26 ? Math.floor(k / 26) : '');
+    return { key: value, label: counts.get(value) > 1 ? letter : '' };
+  });
+}
+
+/**
+ * Does this array hold labeled records (rather than plain numbers)?
+ * @param {Array} array - Input or frame array.
+ * @returns {boolean}
+ */
+export function isLabeled(array) {
+  return array.some((element) => typeof element === 'object' && element !== null);
+}
+
+/**
+ * Short text for an element: "5", or "5B" for a labeled record.
+ * @param {number|{key: number, label: string}} element
+ * @returns {string}
+ */
+export function describeElement(element) {
+  return typeof element === 'object' && element !== null ? `${element.key}${element.label}` : String(element);
+}
+
+/**
+ * Did equal keys keep their input order? (Records are matched by identity,
+ * which holds because histories rearrange the input objects themselves.)
+ * @param {Array} input - The unsorted elements.
+ * @param {Array} output - The same elements after sorting.
+ * @param {function(*, *): number} compare - The run's sort order (comparators.js);
+ *   elements it calls equal are the ones that must keep their order.
+ * @returns {{stable: boolean, message: string}} - e.g. "Unstable: 7B ended up before 7A."
+ */
+export function checkStability(input, output, compare) {
+  const originalIndex = new Map(input.map((element, i) => [element, i]));
+
+  // Sorted output keeps equal elements side by side, so neighbours are enough
+  for (let i = 1; i < output.length; i++) {
+    const previous = output[i - 1];
+    const element = output[i];
+    if (compare(previous, element) === 0 && originalIndex.get(previous) > originalIndex.get(element)) {
+      return {
+        stable: false,
+        message: `Unstable: ${describeElement(previous)} ended up before ${describeElement(element)}.`
+      };
+    }
+  }
+
+  return { stable: true, message: 'Stable: equal keys kept their order.' };
+}
@@ -0,0 +1,205 @@
+/**
+ * Derives per-frame statistics from a sorting history.
+ * Counters are computed up front (with snapshots at each history checkpoint),
+ * so scrubbing in either direction is a short replay instead of counting
+ * inside the animation loop.
+ */
+
+import { createComparator } from "./comparators.js";
+
+// Plain ascending numbers, used when no compare function is given
+const ascending = (x, y) => (x > y ? 1 : x < y ? -1 : 0);
+
+/**
+ * Counts inversions (pairs i < j with array[i] after array[j]) using merge sort.
+ * O(n log n), so it stays fast for large arrays.
+ * @param {Array} array - The values to check.
+ * @param {function(*, *): number} [compare] - Sort order (comparators.js); default ascending numbers.
+ * @returns {number} - Number of inversions.
+ */
+export function countInversions(array, compare = ascending) {
+  const work = [...array];
+  const buffer = new Array(work.length);
+  let inversions = 0;
+
+  // Bottom-up merge sort: merge runs of width 1, 2, 4...
+  for (let width = 1; width < work.length; width *= 2) {
+    for (let left = 0; left < work.length - width; left += 2 * width) {
+      const mid = left + width;
+      const right = Math.min(left + 2 * width, work.length);
+      let a = left;
+      let b = mid;
+      let k = left;
+
+      while (a < mid && b < right) {
+        if (compare(work[b], work[a]) < 0) {
+          // Everything still waiting on the left is bigger than work[b]
+          inversions += mid - a;
+          buffer[k++] = work[b++];
+        } else {
+          buffer[k++] = work[a++];
+        }
+      }
+      while (a < mid) buffer[k++] = work[a++];
+      while (b < right) buffer[k++] = work[b++];
+
+      for (let i = left; i < right; i++) work[i] = buffer[i];
+    }
+  }
+
+  return inversions;
+}
+
+/**
+ * Works out how much swapping positions i and j changes the inversion count.
+ * Only values between the two positions can be affected, so this is O(j - i).
+ * @param {Array} array - Values BEFORE the swap.
+ * @param {number} i - First index.
+ * @param {number} j - Second index.
+ * @param {function(*, *): number} [compare] - Sort order (comparators.js); default ascending numbers.
+ * @returns {number} - Change in inversions (negative = closer to sorted).
+ */
+export function swapInversionDelta(array, i, j, compare = ascending) {
+  if (i === j) return 0;
+  if (i > j) [i, j] = [j, i];
+
+  // "a after b" in the chosen order
+  const after = (a, b) => (compare(a, b) > 0 ? 1 : 0);
+
+  const x = array[i];
+  const y = array[j];
+  let delta = after(y, x) - after(x, y);
+
+  for (let k = i + 1; k < j; k++) {
+    const v = array[k];
+    const before = after(x, v) + after(v, y);
+    const afterSwap = after(y, v) + after(v, x);
+    delta += afterSwap - before;
+  }
+
+  return delta;
+}
+
+/**
+ * Follows the inversion count of a history whose stats are not ready yet
+ * (its steps are still arriving). Playing forward costs one
+ * swapInversionDelta() per swap; any other jump recounts the values given.
+ * @param {SortHistory} history - From a history generator (history.js).
+ * @returns {function(number, Array): {before: number, after: number}} - Takes a step and the
+ *   values at that step; returns the inversions just before and just after it.
+ */
+export function createInversionCounter(history) {
+  const compare = createComparator(history.order);
+
+  // Count as of the last step asked about
+  let last = null;
+
+  return (step, values) => {
+    // How much this step's swap changed the count (undoing it changes it back)
+    let change = 0;
+    if (history.getType(step) === 'swap') {
+      const [i, j] = history.getIndices(step);
+      change = -swapInversionDelta(values, i, j, compare);
+    }
+
+    let after;
+    if (last && last.step === step) {
+      after = last.inversions;
+    } else if (last && last.step === step - 1) {
+      after = last.inversions + change;
+    } else {
+      after = countInversions(values, compare);
+    }
+
+    last = { step, inversions: after };
+    return { before: after - change, after };
+  };
+}
+
+/**
+ * Builds running totals for a history.
+ * One pass over the operations records the totals plus a snapshot of the
+ * counters at every history checkpoint; at(step) then replays at most one
+ * checkpoint interval, so scrubbing backward is as cheap as playing forward.
+ * @param {SortHistory} history - From a history generator (history.js).
+ * @returns {{totals: object, at: function(number): object}} - Whole-run totals and a per-step lookup
+ *   returning { comparisons, swaps, pass, finalized, inversions }.
+ */
+export function computeHistoryStats(history) {
+  const interval = history.checkpointInterval;
+  const checkpoints = [];
+
+  // Inversions follow the order the run sorted by (comparators.js)
+  const compare = createComparator(history.order);
+
+  // Counters as of the step being scanned
+  const values = [...history.input];
+  const counters = { comparisons: 0, swaps: 0, finalized: 0, inversions: countInversions(values, compare) };
+  const initialInversions = counters.inversions;
+
+  for (let step = 0; step < history.length; step++) {
+    applyStep(history, step, counters, values, compare);
+    if (step % interval === 0) checkpoints.push({ ...counters });
+  }
+
+  const totals = {
+    steps: history.length - 1,
+    comparisons: counters.comparisons,
+    swaps: counters.swaps,
+    passes: history.getPass(history.length - 1),
+    finalized: counters.finalized,
+    initialInversions
+  };
+
+  // Replay position reused while playing forward
+  let cursor = null;
+
+  function at(step) {
+    // Restart from the nearest checkpoint when jumping (or moving backward)
+    if (!cursor || cursor.step > step || step - cursor.step > interval) {
+      const index = Math.floor(step / interval);
+      cursor = {
+        step: index * interval,
+        counters: { ...checkpoints[index] },
+        values: history.getArray(index * interval)
+      };
+    }
+
+    for (let s = cursor.step + 1; s <= step; s++) {
+      applyStep(history, s, cursor.counters, cursor.values, compare);
+    }
+    cursor.step = step;
+
+    return { ...cursor.counters, pass: history.getPass(step) };
+  }
+
+  return { totals, at };
+}
+
+/**
+ * Updates running counters (and the working values) for one step.
+ * @param {SortHistory} history - The history.
+ * @param {number} step - Step to apply.
+ * @param {object} counters - { comparisons, swaps, finalized, inversions } (mutated).
+ * @param {Array} values - Values as of the previous step (mutated).
+ * @param {function(*, *): number} compare - The run's sort order.
+ */
+function applyStep(history, step, counters, values, compare) {
+  const type = history.getType(step);
+
+  if (type === 'comparison') counters.comparisons++;
+
+  if (type === 'swap') {
+    const [i, j] = history.getIndices(step);
+    counters.swaps++;
+    counters.inversions += swapInversionDelta(values, i, j, compare);
+
+    const temp = values[i];
+    values[i] = values[j];
+    values[j] = temp;
+  }
+
+  if (type === 'finalized') {
+    counters.finalized += history.getSortedGain(step);
+  }
+}
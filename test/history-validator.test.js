@@ -0,0 +1,162 @@
+/**
+ * Runs every history generator on random, edge-case and adversarial inputs
+ * and checks each history with validateHistory (history-validator.js), then
+ * makes sure the validator itself notices broken histories.
+ * Run with: npm test (or node --test)
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ALGORITHMS, DISTRIBUTIONS, generateRandomArray } from "../algorithms.js";
+import { COMPARATORS, SORT_DIRECTIONS } from "../comparators.js";
+import { SortHistory, OP_COMPARE, OP_SWAP, OP_FINALIZE, OP_FINALIZE_ALL } from "../history.js";
+import { labelDuplicates } from "../records.js";
+import { validateHistory } from "../history-validator.js";
+
+// Generates a history and fails with the validator's messages if it is broken
+function assertValid(algorithm, array, options = {}) {
+  const history = algorithm.generateHistory(array, options);
+  const { valid, errors } = validateHistory(history);
+  assert.ok(valid, `${algorithm.id} on [${array.join(', ')}]:\n  ${errors.join('\n  ')}`);
+}
+
+// Small hand-written inputs where off-by-one and empty-loop bugs hide
+const EDGE_CASES = {
+  'empty': [],
+  'one value': [7],
+  'two in order': [1, 2],
+  'two reversed': [2, 1],
+  'two equal': [4, 4],
+  'all equal': [5, 5, 5, 5, 5, 5],
+  'negatives and zero': [3, -1, 0, -7, 2, 0, -1],
+  'fractions': [0.5, 0.25, 1.75, -0.5, 0.3, 0.2],
+  'huge values': [1e9, -1e9, 42, Number.MAX_SAFE_INTEGER, -Number.MAX_SAFE_INTEGER]
+};
+
+// Inputs built to stress a particular weakness of exchange sorts
+function adversarialInputs(n) {
+  const ascending = Array.from({ length: n }, (_, i) => i + 1);
+  return {
+    // A small value at the end ("turtle") crawls left one position per pass
+    'turtle': [...ascending.slice(1), 1],
+    // A large value at the start ("rabbit") reaches the end in one pass
+    'rabbit': [n, ...ascending.slice(0, -1)],
+    'reversed': [...ascending].reverse(),
+    'sorted': ascending,
+    'ends swapped': [n, ...ascending.slice(1, -1), 1],
+    'zigzag': ascending.map((value, i) => (i % 2 === 0 ? value : n * 2 - value)),
+    'reversed duplicates': ascending.map((value) => Math.ceil(value / 3)).reverse(),
+    'two values': ascending.map((value) => value % 2),
+    'one out of place': [...ascending.slice(0, n >> 1), 0, ...ascending.slice(n >> 1)]
+  };
+}
+
+ALGORITHMS.forEach((algorithm) => {
+  describe(algorithm.name, () => {
+    test('random inputs of every shape', () => {
+      DISTRIBUTIONS.forEach(({ id: distribution }) => {
+        [5, 6, 13, 32].forEach((size) => {
+          for (let seed = 1; seed <= 8; seed++) {
+            assertValid(algorithm, generateRandomArray(size, { distribution, seed }));
+          }
+        });
+      });
+    });
+
+    test('edge cases', () => {
+      Object.values(EDGE_CASES).forEach((array) => assertValid(algorithm, array));
+    });
+
+    test('adversarial inputs', () => {
+      [3, 8, 25].forEach((n) => {
+        Object.values(adversarialInputs(n)).forEach((array) => assertValid(algorithm, array));
+      });
+    });
+
+    test('labeled duplicates', () => {
+      for (let seed = 1; seed <= 10; seed++) {
+        assertValid(algorithm, labelDuplicates(generateRandomArray(20, { distribution: 'few-unique', seed })));
+      }
+    });
+
+    test('every sort order', () => {
+      const array = [12, -7, 33, 4, -20, 5, 41, 8, 22, 3, -3, 0, 19];
+      COMPARATORS.forEach(({ id: comparator }) => {
+        SORT_DIRECTIONS.forEach(({ id: direction }) => {
+          assertValid(algorithm, array, { order: { comparator, direction } });
+        });
+      });
+    });
+
+    test('a larger run', () => {
+      assertValid(algorithm, generateRandomArray(120, { seed: 2024 }));
+    });
+  });
+});
+
+describe('validateHistory', () => {
+  // Builds a history by hand: steps are [op, a, b]
+  function buildHistory(input, steps) {
+    const history = new SortHistory(input);
+    steps.forEach(([op, a, b]) => history.record(op, a, b ?? 0, 1, null, {}));
+    return history;
+  }
+
+  // The validator's messages for a history (asserting it found something)
+  function errorsOf(history) {
+    const { valid, errors } = validateHistory(history);
+    assert.equal(valid, false);
+    return errors.join('\n');
+  }
+
+  test('accepts a correct hand-built history', () => {
+    const history = buildHistory([2, 1], [[OP_COMPARE, 0, 1], [OP_SWAP, 0, 1], [OP_FINALIZE, 1], [OP_FINALIZE, 0]]);
+    assert.deepEqual(validateHistory(history), { valid: true, errors: [] });
+  });
+
+  test('catches an index finalized before it stopped moving', () => {
+    const history = buildHistory([3, 1, 2], [
+      [OP_FINALIZE, 0],
+      [OP_COMPARE, 0, 1], [OP_SWAP, 0, 1],
+      [OP_COMPARE, 1, 2], [OP_SWAP, 1, 2],
+      [OP_FINALIZE_ALL]
+    ]);
+    assert.match(errorsOf(history), /finalized position 0 changed/);
+  });
+
+  test('catches an early exit that finalizes an unsorted array', () => {
+    const history = buildHistory([1, 3, 2], [[OP_COMPARE, 0, 1], [OP_FINALIZE_ALL]]);
+    assert.match(errorsOf(history), /not in order/);
+  });
+
+  test('catches a swap of a pair that was already in order', () => {
+    const history = buildHistory([1, 2, 3], [[OP_SWAP, 0, 1], [OP_SWAP, 0, 1], [OP_FINALIZE_ALL]]);
+    assert.match(errorsOf(history), /already in order/);
+  });
+
+  test('catches a run that never finalizes everything', () => {
+    const history = buildHistory([1, 2, 3], [[OP_COMPARE, 0, 1], [OP_COMPARE, 1, 2], [OP_FINALIZE, 2]]);
+    assert.match(errorsOf(history), /only 1 of 3 positions are sorted/);
+  });
+
+  test('catches a swap frame whose array did not change', () => {
+    const history = buildHistory([2, 1], [[OP_SWAP, 0, 1], [OP_FINALIZE_ALL]]);
+    const getFrame = history.getFrame.bind(history);
+    history.getFrame = (step) => (step === 1 ? { ...getFrame(1), array: [2, 1], ids: [0, 1] } : getFrame(step));
+    assert.match(errorsOf(history), /did not exchange positions 0 and 1/);
+  });
+
+  test('catches a frame that is not a permutation of the input', () => {
+    const history = buildHistory([2, 1], [[OP_COMPARE, 0, 1], [OP_SWAP, 0, 1], [OP_FINALIZE_ALL]]);
+    const getFrame = history.getFrame.bind(history);
+    history.getFrame = (step) => (step === 1 ? { ...getFrame(1), array: [2, 2] } : getFrame(step));
+    assert.match(errorsOf(history), /not a permutation of the input/);
+  });
+
+  test('catches elements moving without a swap', () => {
+    const history = buildHistory([2, 1, 3], [[OP_COMPARE, 0, 1], [OP_FINALIZE_ALL]]);
+    const getFrame = history.getFrame.bind(history);
+    history.getFrame = (step) => (step === 1 ? { ...getFrame(1), array: [1, 2, 3], ids: [1, 0, 2] } : getFrame(step));
+    assert.match(errorsOf(history), /changed during a 'comparison' step/);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Timeline helpers: finding interesting steps in a history (next swap,
+ * end of a pass...) and drawing them as marks above the scrubber.
+ */
+
+import { OP_SWAP, OP_FINALIZE, OP_FINALIZE_ALL } from "./history.js";
+import { COLORS } from "./canvas-renderer.js";
+
+// Pass ends get a neutral mark (swaps and finalizes use the bar colors)
+const PASS_END_COLOR = '#ddd';
+
+/**
+ * Does a step end its pass? (The next step belongs to a later pass, or there is no next step.)
+ * @param {SortHistory} history - The run.
+ * @param {number} step - Step to test.
+ * @returns {boolean}
+ */
+export function isPassEnd(history, step) {
+  if (step <= 0) return false;
+  if (step === history.length - 1) return true;
+  return history.getPass(step + 1) > history.getPass(step);
+}
+
+/**
+ * Is a step a swap?
+ * @param {SortHistory} history - The run.
+ * @param {number} step - Step to test.
+ * @returns {boolean}
+ */
+export function isSwap(history, step) {
+  return history.getOp(step) === OP_SWAP;
+}
+
+/**
+ * Builds a test for "the step that puts one index in its final place".
+ * (A finalize-all step counts too, unless the index was already sorted before it.)
+ * @param {number} index - Bar position, 0 .. n - 1.
+ * @returns {function(SortHistory, number): boolean} - For findStep() or run-until.
+ */
+export function finalizesIndex(index) {
+  return (history, step) => {
+    const op = history.getOp(step);
+    if (op === OP_FINALIZE) return history.getIndices(step)[0] === index;
+    return op === OP_FINALIZE_ALL && !history.getFrame(step - 1).sortedIndices.includes(index);
+  };
+}
+
+/**
+ * Walks from a step (not included) until a test passes.
+ * @param {SortHistory} history - The run.
+ * @param {number} from - Starting step.
+ * @param {1|-1} direction - 1 = forward, -1 = backward.
+ * @param {function(SortHistory, number): boolean} test - e.g. isSwap.
+ * @returns {number} - The matching step, or -1 if there is none.
+ */
+export function findStep(history, from, direction, test) {
+  for (let step = from + direction; step >= 0 && step < history.length; step += direction) {
+    if (test(history, step)) return step;
+  }
+  return -1;
+}
+
+/**
+ * Draws swap, finalize and end-of-pass marks for a whole history.
+ * Steps are bucketed into pixel columns, so millions of steps cost one scan.
+ * @param {HTMLCanvasElement} canvas - Sits above the scrubber, same width.
+ * @param {SortHistory|null} history - null clears the marks (e.g. while calculating).
+ */
+export function renderTimelineMarks(canvas, history) {
+  // 1. SIZE: Match the canvas resolution to its on-screen size
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.max(1, Math.floor(canvas.clientWidth * ratio));
+  const height = Math.max(1, Math.floor(canvas.clientHeight * ratio));
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, width, height);
+  if (!history || history.length < 2) return;
+
+  // 2. SCAN: One flag per pixel column and mark kind
+  const swaps = new Uint8Array(width);
+  const finalizes = new Uint8Array(width);
+  const passEnds = new Uint8Array(width);
+  const lastStep = history.length - 1;
+
+  for (let step = 1; step <= lastStep; step++) {
+    const column = Math.min(width - 1, Math.floor((step / lastStep) * width));
+    const op = history.getOp(step);
+    if (op === OP_SWAP) swaps[column] = 1;
+    if (op === OP_FINALIZE || op === OP_FINALIZE_ALL) finalizes[column] = 1;
+    if (isPassEnd(history, step)) passEnds[column] = 1;
+  }
+
+  // 3. DRAW: Three stacked rows (swaps on top, finalizes, then pass ends)
+  const rowHeight = height / 3;
+  const rows = [
+    { flags: swaps, color: COLORS.swapping },
+    { flags: finalizes, color: COLORS.sorted },
+    { flags: passEnds, color: PASS_END_COLOR }
+  ];
+
+  rows.forEach(({ flags, color }, row) => {
+    ctx.fillStyle = color;
+    for (let column = 0; column < width; column++) {
+      if (flags[column]) ctx.fillRect(column, row * rowHeight, 1, rowHeight);
+    }
+  });
+}
@@ -0,0 +1,121 @@
+/**
+ * Encodes the visualizer state in the URL hash so a run can be shared as a link.
+ * Example: #size=30&dist=random&seed=4242&algo=bubble-optimized&speed=50&step=212
+ * Custom arrays travel as the values themselves: #array=5,3,8&algo=bubble&step=4
+ * Breakpoints ride along too: ...&bp=compare:3:4,clean-pass
+ * Non-default sort orders add ...&cmp=last-digit&dir=descending
+ */
+
+import { ALGORITHMS, DISTRIBUTIONS } from "./algorithms.js";
+import { parseArrayInput } from "./input.js";
+import { encodeBreakpoints, decodeBreakpoints } from "./breakpoints.js";
+import { COMPARATORS, SORT_DIRECTIONS, DEFAULT_ORDER } from "./comparators.js";
+
+// What a missing or broken field falls back to (matches index.html)
+export const DEFAULT_URL_STATE = {
+  size: 20,
+  distribution: 'random',
+  swaps: 2,
+  seed: null,        // null = roll a new one
+  values: null,      // null = generate from size / shape / seed
+  labels: false,     // Tag equal values A, B, C... (records.js)
+  algorithm: ALGORITHMS[0].id,
+  race: null,        // Second algorithm id when Race Mode is on
+  order: DEFAULT_ORDER, // { comparator, direction }, see comparators.js
+  speed: 50,
+  step: 0,
+  breakpoints: []    // See breakpoints.js
+};
+
+/**
+ * Turns the visualizer state into a hash string.
+ * @param {object} state - Same shape as DEFAULT_URL_STATE.
+ * @returns {string} - The hash, including the leading '#'.
+ */
+export function encodeUrlState(state) {
+  const params = new URLSearchParams();
+
+  // 1. INPUT: Either the custom values or the recipe to regenerate them
+  if (state.values) {
+    params.set('array', state.values.join(','));
+  } else {
+    params.set('size', state.size);
+    params.set('dist', state.distribution);
+    if (state.distribution === 'nearly-sorted') params.set('k', state.swaps);
+    params.set('seed', state.seed);
+  }
+  if (state.labels) params.set('labels', 1);
+
+  // 2. RUN: Algorithm(s) and playback position
+  params.set('algo', state.algorithm);
+  if (state.race) params.set('race', state.race);
+  if (state.order.comparator !== DEFAULT_ORDER.comparator) params.set('cmp', state.order.comparator);
+  if (state.order.direction !== DEFAULT_ORDER.direction) params.set('dir', state.order.direction);
+  params.set('speed', state.speed);
+  params.set('step', state.step);
+  if (state.breakpoints.length > 0) params.set('bp', encodeBreakpoints(state.breakpoints));
+
+  // Keep the commas and colons readable in the address bar
+  return '#' + params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+/**
+ * Reads a hash back into a full state. Never fails: every missing, unknown or
+ * malformed field falls back to DEFAULT_URL_STATE (sizes and seeds are
+ * clamped later by init(), exactly like typed-in values).
+ * @param {string} hash - location.hash (with or without the leading '#').
+ * @returns {object|null} - The state, or null if the hash is empty.
+ */
+export function decodeUrlState(hash) {
+  const text = hash.replace(/^#/, '');
+  if (!text) return null;
+
+  const params = new URLSearchParams(text);
+  const state = { ...DEFAULT_URL_STATE };
+
+  // Whole numbers only ("12abc" and "1e3" are rejected, not half-read)
+  const readInteger = (key) => {
+    const raw = params.get(key);
+    return raw !== null && /^\d+$/.test(raw) ? Number(raw) : null;
+  };
+  const isAlgorithm = (id) => ALGORITHMS.some((algorithm) => algorithm.id === id);
+
+  // 1. INPUT: Custom values go through the same checks as the textarea
+  if (params.has('array')) {
+    const { values } = parseArrayInput(params.get('array'));
+    if (values) state.values = values;
+  }
+
+  state.labels = params.get('labels') === '1';
+  state.size = readInteger('size') ?? state.size;
+  state.seed = readInteger('seed') ?? state.seed;
+  state.swaps = readInteger('k') ?? state.swaps;
+
+  const distribution = params.get('dist');
+  if (DISTRIBUTIONS.some((entry) => entry.id === distribution)) state.distribution = distribution;
+
+  // 2. RUN: Unknown algorithm ids are ignored
+  const algorithm = params.get('algo');
+  if (isAlgorithm(algorithm)) state.algorithm = algorithm;
+
+  const race = params.get('race');
+  if (isAlgorithm(race)) state.race = race;
+
+  // Each half of the order falls back on its own
+  const comparator = params.get('cmp');
+  const direction = params.get('dir');
+  state.order = {
+    comparator: COMPARATORS.some((entry) => entry.id === comparator) ? comparator : DEFAULT_ORDER.comparator,
+    direction: SORT_DIRECTIONS.some((entry) => entry.id === direction) ? direction : DEFAULT_ORDER.direction
+  };
+
+  const speed = readInteger('speed');
+  if (speed !== null && speed >= 1 && speed <= 100) state.speed = speed;
+
+  state.step = readInteger('step') ?? state.step;
+
+  // 3. BREAKPOINTS: Broken entries are dropped, the rest kept
+  if (params.has('bp')) state.breakpoints = decodeBreakpoints(params.get('bp'));
+
+  return state;
+}
@@ -0,0 +1,51 @@
+/**
+ * Encodes rendered audio as a WAV file (16-bit PCM, the format every
+ * video editor and media player accepts).
+ */
+
+/**
+ * Converts an AudioBuffer into the bytes of a .wav file.
+ * @param {AudioBuffer} buffer - e.g. from OfflineAudioContext.startRendering().
+ * @returns {ArrayBuffer} - RIFF/WAVE header followed by interleaved 16-bit samples.
+ */
+export function encodeWav(buffer) {
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const bytesPerSample = 2;
+  const blockAlign = channels * bytesPerSample;
+  const dataSize = frames * blockAlign;
+
+  const bytes = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(bytes);
+  const writeText = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  // 1. HEADER: "RIFF" container holding a "WAVE" with one format and one data chunk
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true);                              // Format chunk size
+  view.setUint16(20, 1, true);                               // 1 = PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * blockAlign, true);  // Bytes per second
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);              // Bits per sample
+  writeText(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  // 2. SAMPLES: Float -1..1 -> signed 16-bit, channels interleaved
+  const channelData = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return bytes;
+}
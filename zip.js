@@ -0,0 +1,69 @@
+/**
+ * Builds .zip files in the browser (no compression: the PNG frames we store
+ * are compressed already, so "stored" entries keep this tiny and fast).
+ */
+
+// CRC-32 lookup table (the checksum every zip entry carries)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Packs files into a zip archive.
+ * @param {{name: string, data: Uint8Array}[]} files - ASCII file names and their bytes.
+ * @returns {Blob} - An application/zip blob.
+ */
+export function createZip(files) {
+  const parts = [];        // Local headers + file data, in order
+  const directory = [];    // Central directory entries
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = crc32(data);
+
+    // 1. LOCAL HEADER (30 bytes + name), then the data itself
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);  // Signature
+    local.setUint16(4, 20, true);          // Version needed (2.0)
+    local.setUint16(8, 0, true);           // Method 0 = stored
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // Compressed size
+    local.setUint32(22, data.length, true); // Uncompressed size
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local.buffer, nameBytes, data);
+
+    // 2. CENTRAL DIRECTORY ENTRY (46 bytes + name) pointing back at it
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);          // Version made by
+    entry.setUint16(6, 20, true);          // Version needed
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);     // Where the local header starts
+    directory.push(entry.buffer, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  // 3. END OF CENTRAL DIRECTORY
+  const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);    // Entries on this disk
+  end.setUint16(10, files.length, true);   // Entries in total
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);         // Where the directory starts
+
+  return new Blob([...parts, ...directory, end.buffer], { type: 'application/zip' });
+}